@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+// Command-line front end for mod.js, for checking IPs from access logs etc. without writing a script.
+// Run `node cli.js --help` for usage.
+
+import { createReadStream } from "node:fs";
+import { once } from "node:events";
+import { createInterface } from "node:readline";
+import { parseArgs } from "node:util";
+import { createIsVpn } from "./mod.js";
+
+const USAGE = `Usage:
+  node cli.js [options] [file...]    check one IP per line, from the files or stdin
+  node cli.js [options] check <ip>...
+  node cli.js [options] stats        list sizes, merge/CIDR compression and coverage
+
+Options:
+  --extract          pull every IP out of each line (e.g. access logs) instead of one IP per line
+  --format <f>       tsv (default) or json (one object per line)
+  --vpn-only         only print IPs that are listed
+  --v4-list <file>   load the IPv4 list from a local file instead of GitHub
+  --v6-list <file>   load the IPv6 list from a local file instead of GitHub
+                     (with either of these, nothing is fetched: a family without a file is empty)
+  --cache-dir <dir>  keep/reuse a cached copy of the GitHub lists
+  -h, --help         show this help
+`;
+
+const IPV4_PATTERN = /(?<![0-9])(?:[0-9]{1,3}\.){3}[0-9]{1,3}(?![0-9])/g;
+const IPV6_PATTERN = /(?<![0-9A-Fa-f:])(?:[0-9A-Fa-f]{0,4}:){2,7}(?:[0-9]{1,3}(?:\.[0-9]{1,3}){3}|[0-9A-Fa-f]{0,4})(?![0-9A-Fa-f:])/g;
+
+// Candidates are confirmed with the strict parser, which weeds out things like "12:34:56". IPv4
+// matches inside an IPv6 match (a dotted tail) are skipped.
+const extractIps = (vpn, line) => {
+  const found = [];
+  const ipv6Spans = [];
+  for (const match of line.matchAll(IPV6_PATTERN)) {
+    if (!vpn.checkIp(match[0]).valid) continue;
+    found.push({ ip: match[0], at: match.index });
+    ipv6Spans.push([match.index, match.index + match[0].length]);
+  }
+  for (const match of line.matchAll(IPV4_PATTERN)) {
+    if (ipv6Spans.some(([start, end]) => match.index >= start && match.index < end)) continue;
+    if (!vpn.checkIp(match[0]).valid) continue;
+    found.push({ ip: match[0], at: match.index });
+  }
+  return found.sort((a, b) => a.at - b.at).map(({ ip }) => ip);
+};
+
+const checkOne = (vpn, ip, line) => {
+  const checked = vpn.checkIp(ip);
+  if (!checked.valid) return { ip, line, valid: false, reason: checked.reason, vpn: null, ranges: [] };
+  const { match, ranges } = vpn.lookupVpn(checked.normalized);
+  return { ip, line, valid: true, reason: null, vpn: match, ranges };
+};
+
+const formatResult = (result, format) => {
+  if (format === "json") return `${JSON.stringify(result)}\n`;
+  const status = result.valid ? String(result.vpn) : `invalid:${result.reason}`;
+  return `${result.ip}\t${status}\t${result.ranges.join(",")}\n`;
+};
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+const write = async (text) => {
+  if (!process.stdout.write(text)) await once(process.stdout, "drain");
+};
+
+const loadLists = async (values) => {
+  const vpn = createIsVpn({ autoStart: false, cacheDir: values["cache-dir"] ?? null, onError: () => {} });
+  if (values["v4-list"] || values["v6-list"]) {
+    await vpn.loadFromFile(values["v4-list"] ?? null, values["v6-list"] ?? null);
+  } else {
+    await vpn.refresh();
+  }
+  return vpn;
+};
+
+const runChecks = async (vpn, lines, values) => {
+  let lineNumber = 0;
+  for await (const rawLine of lines) {
+    lineNumber++;
+    const line = rawLine.trim();
+    if (line === "") continue;
+    const ips = values.extract ? extractIps(vpn, line) : [line];
+    for (const ip of ips) {
+      const result = checkOne(vpn, ip, lineNumber);
+      if (values["vpn-only"] && !result.vpn) continue;
+      await write(formatResult(result, values.format));
+    }
+  }
+};
+
+const readInputLines = async function* (files) {
+  const streams = files.length ? files.map((file) => createReadStream(file)) : [process.stdin];
+  for (const stream of streams) {
+    yield* createInterface({ input: stream, crlfDelay: Infinity });
+  }
+};
+
+const printStats = async (vpn, format) => {
+  const { stats } = JSON.parse(vpn.exportRanges({ format: "json" }));
+  const freshness = vpn.freshness();
+  const coverage = { ipv4: vpn.classifyRange("0.0.0.0/0"), ipv6: vpn.classifyRange("::/0") };
+  const rows = [];
+  for (const family of ["ipv4", "ipv6"]) {
+    rows.push(
+      [`${family}.input_ranges`, stats[family].inputRanges],
+      [`${family}.merged_ranges`, stats[family].mergedRanges],
+      [`${family}.cidrs`, stats[family].cidrs],
+      [`${family}.covered_addresses`, String(coverage[family].coveredAddresses)],
+      [`${family}.updated_at`, freshness[family].updatedAt === null ? null : new Date(freshness[family].updatedAt).toISOString()],
+    );
+  }
+  if (format === "json") await write(`${JSON.stringify(Object.fromEntries(rows))}\n`);
+  else await write(rows.map(([key, value]) => `${key}\t${value}\n`).join(""));
+};
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      extract: { type: "boolean", default: false },
+      format: { type: "string", default: "tsv" },
+      "vpn-only": { type: "boolean", default: false },
+      "v4-list": { type: "string" },
+      "v6-list": { type: "string" },
+      "cache-dir": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    await write(USAGE);
+    return 0;
+  }
+  if (values.format !== "tsv" && values.format !== "json") throw usageError(`unknown format "${values.format}" (expected tsv or json)`);
+  const [command, ...args] = positionals;
+  if (command === "check" && args.length === 0) throw usageError("check needs at least one IP");
+
+  const vpn = await loadLists(values);
+  if (command === "stats") {
+    await printStats(vpn, values.format);
+  } else if (command === "check") {
+    await runChecks(vpn, args, { ...values, extract: false });
+  } else {
+    await runChecks(vpn, readInputLines(positionals), values);
+  }
+  return 0;
+};
+
+// Output piped into e.g. `head` is closed early; that's not an error.
+process.stdout.on("error", (err) => {
+  if (err.code !== "EPIPE") throw err;
+  process.exit(0);
+});
+
+main().then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  const usage = err.usage || err.code?.startsWith("ERR_PARSE_ARGS");
+  process.stderr.write(`is-vpn: ${err.message.replace(/^is-vpn: /, "")}\n${usage ? USAGE : ""}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,185 @@
+// HTTP middleware around mod.js: works out the client IP (honouring X-Forwarded-For, and Forwarded or
+// CF-Connecting-IP if asked to, only when they come from a trusted proxy), checks it, attaches
+// `{ ip, isVpn }` to the request, and optionally answers VPN requests itself (a block page, a
+// challenge redirect, ...).
+//
+//   Express/Connect:  app.use(vpnMiddleware({ trustedProxies: ["10.0.0.0/8"] }))  -> req.vpn
+//   Node http:        http.createServer(withVpnCheckNode(handler, options))        -> req.vpn
+//   fetch-style:      export default { fetch: withVpnCheck(handler, options) }     -> getVpnInfo(request)
+
+import { createIsVpn, init, isVpn as defaultIsVpn } from "./mod.js";
+
+// Checked in this order; the first one present on a request from a trusted proxy wins. Forwarded and
+// CF-Connecting-IP are left out: a proxy that only appends to X-Forwarded-For (nginx's default) passes
+// them on as the client sent them.
+const DEFAULT_HEADERS = ["x-forwarded-for"];
+
+const readHeader = (request, name) => {
+  if (typeof request.headers?.get === "function") return request.headers.get(name);
+  const value = request.headers?.[name];
+  return Array.isArray(value) ? value.join(", ") : value ?? null;
+};
+
+// Strips quotes, brackets, ports and zone IDs, unwraps IPv4-mapped IPv6, and returns null for
+// anything that isn't an IP (e.g. Forwarded's "unknown" or "_hidden" obfuscated identifiers).
+const normalizeAddress = (checkIp, raw) => {
+  let address = raw.trim().replace(/^"|"$/g, "");
+  if (address.startsWith("[")) {
+    address = address.slice(1, address.indexOf("]") === -1 ? undefined : address.indexOf("]"));
+  } else if (address.includes(".") && address.indexOf(":") === address.lastIndexOf(":")) {
+    address = address.split(":")[0];
+  }
+  address = address.split("%")[0];
+  const checked = checkIp(address);
+  if (!checked.valid) return null;
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(checked.normalized);
+  return mapped ? mapped[1] : checked.normalized;
+};
+
+// RFC 7239: `Forwarded: for=192.0.2.60;proto=http;by=203.0.113.43, for="[2001:db8::1]:4711"`
+const parseForwarded = (value) => {
+  const addresses = [];
+  for (const element of value.split(",")) {
+    for (const pair of element.split(";")) {
+      const eq = pair.indexOf("=");
+      if (eq !== -1 && pair.slice(0, eq).trim().toLowerCase() === "for") addresses.push(pair.slice(eq + 1));
+    }
+  }
+  return addresses;
+};
+
+const headerAddresses = (name, value) => {
+  if (name === "forwarded") return parseForwarded(value);
+  if (name === "x-forwarded-for") return value.split(",");
+  return [value];
+};
+
+// `trustedProxies` is a list of CIDRs, or `true` to trust every hop (e.g. on a platform that always
+// sets the header itself and whose peer address isn't visible).
+export const createClientIpResolver = ({ trustedProxies = [], headers = DEFAULT_HEADERS } = {}) => {
+  // Only `::ffff:` addresses are unwrapped (by `normalizeAddress`): a 6to4, NAT64 or Teredo peer
+  // isn't the IPv4 proxy its address embeds.
+  const matcher = createIsVpn({ autoStart: false, resolveEmbeddedIpv4: false });
+  const trustAll = trustedProxies === true;
+  if (!trustAll && !Array.isArray(trustedProxies)) {
+    throw new Error(`is-vpn: trustedProxies must be an array of CIDRs or true, not ${JSON.stringify(trustedProxies)}`);
+  }
+  if (!trustAll) {
+    // `loadFromText` would just skip (and count) a malformed entry.
+    for (const cidr of trustedProxies) {
+      if (typeof cidr !== "string" || matcher.classifyRange(cidr) === null) throw new Error(`is-vpn: invalid trusted proxy CIDR "${cidr}"`);
+    }
+    matcher.loadFromText(
+      trustedProxies.filter((cidr) => !cidr.includes(":")).join("\n"),
+      trustedProxies.filter((cidr) => cidr.includes(":")).join("\n"),
+    );
+  }
+  const isTrusted = (address) => trustAll || (address !== null && matcher.isVpn(address));
+
+  // Walks the header's list from the right (the hop closest to us), skipping trusted proxies, so a
+  // client can't spoof its address by sending its own X-Forwarded-For.
+  return (request, remoteAddress = request.socket?.remoteAddress ?? null) => {
+    const peer = remoteAddress === null ? null : normalizeAddress(matcher.checkIp, remoteAddress);
+    if (!isTrusted(peer)) return peer;
+    for (const name of headers) {
+      const value = readHeader(request, name);
+      if (!value) continue;
+      const addresses = headerAddresses(name, value);
+      let client = peer;
+      for (let i = addresses.length - 1; i >= 0; i--) {
+        client = normalizeAddress(matcher.checkIp, addresses[i]);
+        if (!isTrusted(client)) break;
+      }
+      return client;
+    }
+    return peer;
+  };
+};
+
+const NOT_LOADED_RESPONSE = {
+  status: 503,
+  headers: { "content-type": "text/plain; charset=utf-8", "retry-after": "60" },
+  body: "The VPN lists haven't loaded yet.\n",
+};
+
+// Shared by the adapters: resolves and checks the IP, and decides whether to respond. `respond` is
+// null (only annotate), a `{ status, headers, body }` response for VPN requests, or a function
+// `(info, request) => response | null` for anything more conditional (null lets the request through).
+//
+// Until the lists are loaded, every IP would pass as not listed. So requests wait for the first
+// load, and while it has failed (until a later refresh succeeds) they're answered 503 with
+// `isVpn: null`. `ready` returns the promise to wait for: the default instance's (which is started
+// here) unless `isVpn` is given, in which case pass e.g. `() => vpn.ready` along with it.
+const createChecker = ({ isVpn = null, ready = null, respond = null, ...resolverOptions } = {}) => {
+  const resolveClientIp = createClientIpResolver(resolverOptions);
+  const check = isVpn ?? defaultIsVpn;
+  const waitForLists = ready ?? (isVpn ? null : init);
+  let loaded = waitForLists === null;
+  let failed = false;
+  let pending = null;
+  // A failed first load replaces `ready` with a promise for the next attempt, which is watched in turn.
+  const watch = () => {
+    pending = Promise.resolve(waitForLists()).then(() => {
+      loaded = true;
+    }, () => {
+      failed = true;
+      watch();
+    });
+  };
+  if (!loaded) watch();
+  return async (request, remoteAddress) => {
+    const ip = resolveClientIp(request, remoteAddress);
+    if (!loaded && !failed) await pending;
+    if (!loaded) return { info: { ip, isVpn: null }, response: NOT_LOADED_RESPONSE };
+    const info = { ip, isVpn: ip !== null && check(ip) };
+    let response = null;
+    if (info.isVpn && respond) response = typeof respond === "function" ? respond(info, request) : respond;
+    if (response) {
+      response = {
+        status: response.status ?? 403,
+        headers: response.headers ?? { "content-type": "text/plain; charset=utf-8" },
+        body: response.body ?? "Requests from VPNs and datacenters aren't accepted here.\n",
+      };
+    }
+    return { info, response };
+  };
+};
+
+// Express/Connect-style `(req, res, next)`. `property` is where the info goes on `req`.
+export const vpnMiddleware = ({ property = "vpn", ...options } = {}) => {
+  const check = createChecker(options);
+  return (req, res, next) => {
+    check(req).then(({ info, response }) => {
+      req[property] = info;
+      if (!response) return next();
+      res.writeHead(response.status, response.headers);
+      res.end(response.body);
+    }, next);
+  };
+};
+
+// Plain Node `http` request listener.
+export const withVpnCheckNode = (handler, options) => {
+  const middleware = vpnMiddleware(options);
+  return (req, res) => middleware(req, res, (err) => {
+    if (err) throw err;
+    handler(req, res);
+  });
+};
+
+const fetchInfo = new WeakMap();
+
+export const getVpnInfo = (request) => fetchInfo.get(request) ?? null;
+
+// fetch-style `(request, ...rest) => Response` handlers (Deno, Bun, Workers, ...). Requests carry no
+// peer address, so pass `getRemoteAddress(request, ...rest)` (e.g. Deno: `(req, info) =>
+// info.remoteAddr.hostname`), or `trustedProxies: true` when the platform sets the header itself.
+export const withVpnCheck = (handler, { getRemoteAddress = () => null, ...options } = {}) => {
+  const check = createChecker(options);
+  return async (request, ...rest) => {
+    const { info, response } = await check(request, await getRemoteAddress(request, ...rest));
+    fetchInfo.set(request, info);
+    if (response) return new Response(response.body, { status: response.status, headers: response.headers });
+    return handler(request, ...rest);
+  };
+};
@@ -89,11 +89,114 @@ CIDR conversion
 ---------------
 IPv4 CIDR -> [start,end] by applying a mask.
 IPv6 CIDR -> [start,end] by applying a 128-bit mask to p0..p3.
+List lines may also be a bare address (a /32 or /128) or a "start-end" range, and anything after
+a "#" is a comment. Lines are trimmed, so CRLF files and indented lines parse the same.
+Addresses and prefix lengths in lists, overlays and `classifyRange` are parsed strictly (unlike
+queries), so "1..2.3" or "5.6.7.0/0x18" is rejected and reported rather than read as something else.
 
 List updates
 ------------
-The lists are refreshed every 12 hours. During update we rebuild the
-indexes and replace the in-memory references atomically.
+Each `createIsVpn()` instance owns its own pair of indexes. `start()` fetches the lists and
+then refreshes them every 12 hours (the timer is unref'd, so it never keeps a process alive).
+During update we rebuild the indexes and replace the in-memory references atomically.
+The module-level `isVpn` export is a default instance that starts lazily on first use.
+Lists can also come from local files (`ipv4File`/`ipv6File`, or `loadFromFile`), strings
+(`loadFromText`) or streams (`loadFromReadableStream`); all of them go through the same
+build-both-then-swap step.
+
+Rebuilding an index takes a few hundred milliseconds. With `rebuild: "yield"` the parse/merge/build
+pipeline pauses between chunks, letting the event loop run in between (the sort and the bucket build
+are still single steps). With `rebuild: "worker"` it runs in a worker thread (rebuild-worker.js),
+which transfers the finished typed arrays back. Either way, queries keep using the old index until
+the swap. `loadFromText` always builds synchronously.
+
+With `cacheDir` set, the last good copy of each list is kept on disk along with its ETag and
+Last-Modified validators. Refreshes send conditional requests, and a 304 skips the rebuild. If
+upstream is unreachable and nothing is loaded yet (e.g. right after a restart), the cached copy is
+served and `freshness()` reports it as stale, with its age.
+
+Fetches are retried with exponential backoff and jitter (not for 4xx other than 408/429). A body
+that isn't a 2xx/304 response, doesn't match its Content-Length, or has no valid ranges / too many
+invalid lines is rejected before anything is built, so a failed update never replaces an index.
+Then come the guards against a list that parses fine but is still wrong: too few entries
+(`minLines`), the entry count shrinking or growing too much since the current version
+(`maxShrinkPercent`, `maxGrowthPercent`), an entry bigger than `minPrefixLength` allows (a stray
+0.0.0.0/0), and, with a checksum URL, a SHA-256 that doesn't match the published one.
+Scheduled refreshes report errors (`ListUpdateError`) to the `onError` callback, and every
+swapped-in list is reported to `onUpdate` with its range counts and how many addresses were added
+and removed, computed by diffing the old and new merged ranges (kept on each index for this).
+Parsing a list also produces a report (`diagnostics()`, `onUpdate`'s `diagnostics`, and the
+`diagnostics` of a ListUpdateError for an invalid list): rejected lines and why, CIDRs with host
+bits set, duplicate and shadowed entries, and the merged range count and covered addresses.
+
+Snapshots
+---------
+`serializeIndex()` writes both built indexes into one versioned ArrayBuffer: a small header of
+array lengths, then each typed array on an 8-byte boundary. `loadIndexSnapshot(buffer)` creates
+typed-array views straight over that buffer, skipping the download/parse/merge/build pipeline.
+Snapshots use the platform's byte order (the magic number catches a mismatch). They also carry
+the category tags and names (see Categories), so `classify` works on a snapshot-loaded index.
+
+Sharing across threads
+----------------------
+`shareIndex()` makes an instance publish every index it swaps in as a snapshot written into a
+SharedArrayBuffer, over a BroadcastChannel. Other threads call `attachSharedIndex(handle)`, which
+loads each snapshot as zero-copy views, so every thread queries the same memory and only the
+owning thread fetches. The handle's control word is a generation counter, bumped with
+`Atomics.add` before each publish; attached threads skip any snapshot older than the current
+generation, so out-of-order deliveries can't roll an index back. A thread that attaches late asks
+for the current snapshot with a "sync" message.
+
+Overlays
+--------
+`allow`/`deny` CIDRs (per instance, changeable with `setOverlays`) are applied at build time: deny
+ranges are merged into the list's merged ranges, then allow ranges are cut out with a real range
+subtraction, so the index itself reflects them and queries cost nothing extra. Each instance keeps
+the lists' merged ranges from before the overlay, so changing overlays rebuilds without refetching,
+and every refresh re-applies the current overlay.
+
+Categories
+----------
+With `lists`, an instance loads several lists (e.g. VPN, datacenter and bot lists), each with a
+category. Every category is one bit of a tag byte (bit 7 is the overlay's deny ranges), and the
+merge cuts overlapping ranges from different categories into disjoint segments tagged with the OR
+of their bits, so a bucket entry knows which categories cover it. The tags sit in parallel
+Uint8Arrays next to the bucket entries (and a per-bucket tag for full buckets), so `isVpn` doesn't
+read them; `classify(ip)` does the same search and returns the tags as a boolean per category.
+Lists in the ipsum format ("ip score" lines) keep only the addresses scoring at least `minScore`.
+
+Embedded IPv4
+-------------
+IPv6 addresses that carry an IPv4 address (IPv4-mapped, NAT64, 6to4, Teredo) are also checked
+against the IPv4 index, unless `resolveEmbeddedIpv4: false`. This is a few integer comparisons
+after an IPv6 miss, so the IPv6 fast path is unchanged.
+
+Result cache
+------------
+With `resultCacheSize`, `isVpn` answers repeat queries from a bounded LRU (a Map in recency order)
+keyed by the parsed address, so differently written IPv6 addresses share an entry. Swapping in an
+index clears it, so it never serves answers from an older list.
+
+Monitoring
+----------
+`getStats()` gathers what's needed to tell whether an instance is healthy: whether an index is
+loaded, when one was last swapped in, the last failed refresh, each list's freshness, the indexes'
+bucket counts and typed-array memory, and per-family query/match counters (plain increments on
+the query paths). `statsToPrometheus(stats)` renders it in the Prometheus text format.
+
+Explaining matches
+------------------
+`lookupVpn(ip)` reports which of the original CIDR lines cover an IP. The merged index can't
+answer that, so each instance keeps the raw lines and lazily builds a separate "source index"
+(sorted by start, plus a running max end) the first time a positive lookup needs explaining.
+
+History
+-------
+`createVpnHistory()` keeps dated versions of both lists (e.g. one directory per day) for
+`wasVpn(ip, date)`. Each version is parsed and merged as usual, but only the first is kept whole:
+later ones are stored as the packed ranges added and removed since the previous version. A query
+binary-searches the deltas from the requested version backwards, stopping at the first one that
+added or removed the address; `lookupHistory(ip)` replays them forwards to find when it was listed.
 
 Correctness & performance
 -------------------------
@@ -130,11 +233,11 @@ const ipv4ToInt = (ip) => {
 };
 
 const ipv4CidrToRange = (cidr) => {
-  const [baseIp, prefixStr] = cidr.split("/");
+  const [baseIp, prefixStr, ...rest] = cidr.split("/");
   const prefix = Number(prefixStr);
-  if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) return null;
-  const ipInt = ipv4ToInt(baseIp);
-  if (ipInt === null) return null;
+  if (rest.length || !PREFIX_DIGITS.test(prefixStr) || prefix > 32) return null;
+  const ipInt = parseIpv4Strict(baseIp).value;
+  if (ipInt === undefined) return null;
   const mask = prefix === 0 ? 0 : (0xFFFFFFFF << (32 - prefix)) >>> 0;
   const start = (ipInt & mask) >>> 0;
   const end = (start | (~mask >>> 0)) >>> 0;
@@ -157,15 +260,72 @@ const mergeRanges32 = (ranges) => {
   return merged;
 };
 
-const buildIpv4IndexFromCidrs = (cidrs) => {
+const packRanges32 = (ranges) => {
+  const packed = new Uint32Array(ranges.length * 2);
+  for (let i = 0; i < ranges.length; i++) {
+    packed[i * 2] = ranges[i].start;
+    packed[i * 2 + 1] = ranges[i].end;
+  }
+  return packed;
+};
+
+const unpackRanges32 = (packed) => {
+  const ranges = new Array(packed.length / 2);
+  for (let i = 0; i < ranges.length; i++) ranges[i] = { start: packed[i * 2], end: packed[i * 2 + 1] };
+  return ranges;
+};
+
+// Both inputs sorted and disjoint (i.e. merged). Returns the parts of `ranges` not covered by `holes`.
+const subtractRanges32 = (ranges, holes) => {
+  const result = [];
+  let j = 0;
+  for (let i = 0; i < ranges.length; i++) {
+    let start = ranges[i].start;
+    const { end, tag } = ranges[i];
+    while (j < holes.length && holes[j].end < start) j++;
+    for (let k = j; k < holes.length && holes[k].start <= end && start <= end; k++) {
+      if (holes[k].start > start) result.push({ start, end: holes[k].start - 1, tag });
+      start = holes[k].end + 1;
+    }
+    if (start <= end) result.push({ start, end, tag });
+  }
+  return result;
+};
+
+// A list line without its comment and surrounding whitespace ("" for blank and comment-only lines).
+const listEntry = (line) => {
+  const hash = line.indexOf("#");
+  return (hash === -1 ? line : line.slice(0, hash)).trim();
+};
+
+// One list line -> [start,end]: "1.2.3.0/24", "1.2.3.4" or "1.2.3.4-1.2.3.9". Null if it isn't any of them.
+const ipv4LineToRange = (line) => {
+  const entry = listEntry(line);
+  const dash = entry.indexOf("-");
+  if (dash === -1) return ipv4CidrToRange(entry.includes("/") ? entry : `${entry}/32`);
+  const start = parseIpv4Strict(entry.slice(0, dash).trim()).value;
+  const end = parseIpv4Strict(entry.slice(dash + 1).trim()).value;
+  if (start === undefined || end === undefined || start > end) return null;
+  return { start, end };
+};
+
+const ipv4RangesFromCidrs = (cidrs) => {
   const ranges = [];
   for (let i = 0; i < cidrs.length; i++) {
-    const range = ipv4CidrToRange(cidrs[i]);
+    const range = ipv4LineToRange(cidrs[i]);
     if (range) ranges.push(range);
   }
-  const merged = mergeRanges32(ranges);
+  return ranges;
+};
+
+// Ranges may carry a category `tag` (see `segmentRanges32`); every bucket entry keeps the tags of
+// the segment it came from, and only entries with the same tags are merged.
+const buildIpv4IndexFromRanges = (ranges) => {
+  const merged = segmentRanges32(ranges);
+  const packedRanges = packSegments32(merged);
 
   const bucketType = new Uint8Array(65536);
+  const bucketTags = new Uint8Array(65536);
   const bucketLists = new Array(65536);
 
   for (let i = 0; i < merged.length; i++) {
@@ -178,10 +338,11 @@ const buildIpv4IndexFromCidrs = (cidrs) => {
       const lowEnd = high === endHigh ? (range.end & 0xFFFF) : 0xFFFF;
       if (lowStart === 0 && lowEnd === 0xFFFF) {
         bucketType[high] = 1;
+        bucketTags[high] = range.tag;
         bucketLists[high] = null;
       } else {
         if (!bucketLists[high]) bucketLists[high] = [];
-        bucketLists[high].push([lowStart, lowEnd]);
+        bucketLists[high].push([lowStart, lowEnd, range.tag]);
       }
     }
   }
@@ -195,7 +356,7 @@ const buildIpv4IndexFromCidrs = (cidrs) => {
     for (let j = 1; j < list.length; j++) {
       const cur = list[j];
       const last = mergedLow[mergedLow.length - 1];
-      if (cur[0] > last[1] + 1) {
+      if (cur[0] > last[1] + 1 || cur[2] !== last[2]) {
         mergedLow.push(cur);
       } else if (cur[1] > last[1]) {
         last[1] = cur[1];
@@ -203,6 +364,7 @@ const buildIpv4IndexFromCidrs = (cidrs) => {
     }
     if (mergedLow.length === 1 && mergedLow[0][0] === 0 && mergedLow[0][1] === 0xFFFF) {
       bucketType[i] = 1;
+      bucketTags[i] = mergedLow[0][2];
       bucketLists[i] = null;
     } else {
       bucketType[i] = 2;
@@ -213,6 +375,7 @@ const buildIpv4IndexFromCidrs = (cidrs) => {
 
   const starts = new Uint16Array(total);
   const ends = new Uint16Array(total);
+  const tags = new Uint8Array(total);
   const offsets = new Uint32Array(65536);
   const counts = new Uint32Array(65536);
 
@@ -225,19 +388,26 @@ const buildIpv4IndexFromCidrs = (cidrs) => {
     for (let j = 0; j < list.length; j++) {
       starts[cursor] = list[j][0];
       ends[cursor] = list[j][1];
+      tags[cursor] = list[j][2];
       cursor++;
     }
   }
 
-  return { bucketType, offsets, counts, starts, ends };
+  return { bucketType, bucketTags, offsets, counts, starts, ends, tags, ranges: packedRanges };
 };
 
+const buildIpv4IndexFromCidrs = (cidrs) => buildIpv4IndexFromRanges(ipv4RangesFromCidrs(cidrs));
+
 const containsIpv4 = (index, ipInt) => {
   const high = ipInt >>> 16;
   const type = index.bucketType[high];
   if (type === 1) return true;
   if (type === 0) return false;
-  const low = ipInt & 0xFFFF;
+  return ipv4BucketEntry(index, high, ipInt & 0xFFFF) >= 0;
+};
+
+// Position (in starts/ends/tags) of the entry in partial bucket `high` containing `low`, or -1.
+const ipv4BucketEntry = (index, high, low) => {
   const offset = index.offsets[high];
   const count = index.counts[high];
   let lo = 0;
@@ -253,7 +423,35 @@ const containsIpv4 = (index, ipInt) => {
       hi = mid - 1;
     }
   }
-  return idx >= 0 && low <= index.ends[offset + idx];
+  return idx >= 0 && low <= index.ends[offset + idx] ? offset + idx : -1;
+};
+
+// The category tags of the IPv4 address (0 if it isn't listed).
+const ipv4TagsAt = (index, ipInt) => {
+  const high = ipInt >>> 16;
+  const type = index.bucketType[high];
+  if (type === 0) return 0;
+  if (type === 1) return index.bucketTags[high];
+  const entry = ipv4BucketEntry(index, high, ipInt & 0xFFFF);
+  return entry >= 0 ? index.tags[entry] : 0;
+};
+
+// An index's tagged segments, read back out of its buckets (cut at bucket boundaries), for
+// rebuilding from a snapshot, which only has the index.
+const ipv4IndexSegments = (index) => {
+  const segments = [];
+  for (let high = 0; high < 65536; high++) {
+    const base = high * 65536;
+    if (index.bucketType[high] === 1) {
+      segments.push({ start: base, end: base + 0xFFFF, tag: index.bucketTags[high] });
+    } else if (index.bucketType[high] === 2) {
+      const end = index.offsets[high] + index.counts[high];
+      for (let i = index.offsets[high]; i < end; i++) {
+        segments.push({ start: base + index.starts[i], end: base + index.ends[i], tag: index.tags[i] });
+      }
+    }
+  }
+  return segments;
 };
 
 const HEX_TABLE = (() => {
@@ -429,10 +627,10 @@ const ipv6ToParts = (ip) => {
 };
 
 const ipv6CidrToRange = (cidr) => {
-  const [baseIp, prefixStr] = cidr.split("/");
+  const [baseIp, prefixStr, ...rest] = cidr.split("/");
   const prefix = Number(prefixStr);
-  if (!Number.isInteger(prefix) || prefix < 0 || prefix > 128) return null;
-  const parts = ipv6ToParts(baseIp);
+  if (rest.length || !PREFIX_DIGITS.test(prefixStr) || prefix > 128) return null;
+  const parts = parseIpv6Strict(baseIp).value;
   if (!parts) return null;
   const start = [parts[0], parts[1], parts[2], parts[3]];
   const end = [parts[0], parts[1], parts[2], parts[3]];
@@ -448,8 +646,8 @@ const ipv6CidrToRange = (cidr) => {
     }
     const bits = prefix - bitStart;
     const mask = bits === 0 ? 0 : (0xFFFFFFFF << (32 - bits)) >>> 0;
-    start[i] = start[i] & mask;
-    end[i] = start[i] | (~mask >>> 0);
+    start[i] = (start[i] & mask) >>> 0;
+    end[i] = (start[i] | ~mask) >>> 0;
   }
 
   return { start, end };
@@ -506,6 +704,160 @@ const mergeRanges128 = (ranges) => {
   return merged;
 };
 
+const packRanges128 = (ranges) => {
+  const packed = new Uint32Array(ranges.length * 8);
+  for (let i = 0; i < ranges.length; i++) {
+    packed.set(ranges[i].start, i * 8);
+    packed.set(ranges[i].end, i * 8 + 4);
+  }
+  return packed;
+};
+
+const unpackRanges128 = (packed) => {
+  const ranges = new Array(packed.length / 8);
+  for (let i = 0; i < ranges.length; i++) {
+    const o = i * 8;
+    ranges[i] = {
+      start: [packed[o], packed[o + 1], packed[o + 2], packed[o + 3]],
+      end: [packed[o + 4], packed[o + 5], packed[o + 6], packed[o + 7]],
+    };
+  }
+  return ranges;
+};
+
+const subOne128 = (p0, p1, p2, p3) => {
+  if (p3 !== 0) return [p0, p1, p2, (p3 - 1) >>> 0];
+  if (p2 !== 0) return [p0, p1, (p2 - 1) >>> 0, 0xFFFFFFFF];
+  if (p1 !== 0) return [p0, (p1 - 1) >>> 0, 0xFFFFFFFF, 0xFFFFFFFF];
+  return [(p0 - 1) >>> 0, 0xFFFFFFFF, 0xFFFFFFFF, 0xFFFFFFFF];
+};
+
+const compareParts = (a, b) => compare128(a[0], a[1], a[2], a[3], b[0], b[1], b[2], b[3]);
+
+const isMax128 = (p) => p[0] === 0xFFFFFFFF && p[1] === 0xFFFFFFFF && p[2] === 0xFFFFFFFF && p[3] === 0xFFFFFFFF;
+
+// 128-bit version of `subtractRanges32`. `start` can't step past the top of the address space, so
+// a hole reaching ::ffff...ffff ends the range outright.
+const subtractRanges128 = (ranges, holes) => {
+  const result = [];
+  let j = 0;
+  for (let i = 0; i < ranges.length; i++) {
+    let start = ranges[i].start;
+    const { end, tag } = ranges[i];
+    let remaining = true;
+    while (j < holes.length && compareParts(holes[j].end, start) < 0) j++;
+    for (let k = j; k < holes.length && compareParts(holes[k].start, end) <= 0; k++) {
+      const hole = holes[k];
+      if (compareParts(hole.start, start) > 0) result.push({ start, end: subOne128(hole.start[0], hole.start[1], hole.start[2], hole.start[3]), tag });
+      if (compareParts(hole.end, end) >= 0) {
+        remaining = false;
+        break;
+      }
+      start = addOne128(hole.end[0], hole.end[1], hole.end[2], hole.end[3]);
+    }
+    if (remaining) result.push({ start, end, tag });
+  }
+  return result;
+};
+
+// Category tags: each list has a category, and each category one bit of a tag byte (bit 7 is the
+// overlay's deny ranges). Overlapping ranges from different lists are cut into disjoint segments
+// tagged with the OR of every list covering them; untagged ranges count as tag 1. With a single tag
+// (the usual case) this is just the ordinary merge.
+const DENY_TAG = 0x80;
+
+// Positions are numbers for IPv4 and [p0..p3] arrays for IPv6; `ops` compares and steps them.
+const IPV4_POSITION_OPS = { compare: (a, b) => a - b, next: (p) => p + 1, prev: (p) => p - 1 };
+const IPV6_POSITION_OPS = {
+  compare: compareParts,
+  next: (p) => addOne128(p[0], p[1], p[2], p[3]),
+  prev: (p) => subOne128(p[0], p[1], p[2], p[3]),
+};
+
+// Two sorted lists of disjoint segments combined into one, ORing the tags where they overlap.
+// Touching segments with the same tags are joined.
+const combineSegments = (a, b, { compare, next, prev }) => {
+  const out = [];
+  const push = (start, end, tag) => {
+    const last = out[out.length - 1];
+    if (last && last.tag === tag && compare(next(last.end), start) === 0) last.end = end;
+    else out.push({ start, end, tag });
+  };
+  let i = 0;
+  let j = 0;
+  let x = a.length ? { ...a[0] } : null;
+  let y = b.length ? { ...b[0] } : null;
+  while (x || y) {
+    if (!y || (x && compare(x.end, y.start) < 0)) {
+      push(x.start, x.end, x.tag);
+      x = ++i < a.length ? { ...a[i] } : null;
+    } else if (!x || compare(y.end, x.start) < 0) {
+      push(y.start, y.end, y.tag);
+      y = ++j < b.length ? { ...b[j] } : null;
+    } else if (compare(x.start, y.start) !== 0) {
+      const [first, second] = compare(x.start, y.start) < 0 ? [x, y] : [y, x];
+      push(first.start, prev(second.start), first.tag);
+      first.start = second.start;
+    } else {
+      const end = compare(x.end, y.end) <= 0 ? x.end : y.end;
+      push(x.start, end, x.tag | y.tag);
+      if (compare(x.end, end) === 0) x = ++i < a.length ? { ...a[i] } : null;
+      else x.start = next(end);
+      if (compare(y.end, end) === 0) y = ++j < b.length ? { ...b[j] } : null;
+      else y.start = next(end);
+    }
+  }
+  return out;
+};
+
+const segmentRanges = (ranges, merge, ops) => {
+  // Already segmented (e.g. an overlay's output on its way into an index builder)?
+  let segmented = true;
+  for (let i = 0; i < ranges.length && segmented; i++) {
+    segmented = ranges[i].tag != null && (i === 0 || ops.compare(ranges[i - 1].end, ranges[i].start) < 0);
+  }
+  if (segmented) return ranges;
+  const byTag = new Map();
+  for (const range of ranges) {
+    const tag = range.tag ?? 1;
+    if (!byTag.has(tag)) byTag.set(tag, []);
+    byTag.get(tag).push(range);
+  }
+  let segments = [];
+  for (const [tag, group] of byTag) {
+    const merged = merge(group);
+    for (let i = 0; i < merged.length; i++) merged[i].tag = tag;
+    segments = segments.length ? combineSegments(segments, merged, ops) : merged;
+  }
+  return segments;
+};
+
+const segmentRanges32 = (ranges) => segmentRanges(ranges, mergeRanges32, IPV4_POSITION_OPS);
+
+const segmentRanges128 = (ranges) => segmentRanges(ranges, mergeRanges128, IPV6_POSITION_OPS);
+
+// Segments are disjoint but may touch; the packed `ranges` kept on each index ignore tags, so
+// touching segments are joined back together.
+const packSegments32 = (segments) => {
+  const joined = [];
+  for (const { start, end } of segments) {
+    const last = joined[joined.length - 1];
+    if (last && start === last.end + 1) last.end = end;
+    else joined.push({ start, end });
+  }
+  return packRanges32(joined);
+};
+
+const packSegments128 = (segments) => {
+  const joined = [];
+  for (const { start, end } of segments) {
+    const last = joined[joined.length - 1];
+    if (last && compareParts(start, addOne128(last.end[0], last.end[1], last.end[2], last.end[3])) === 0) last.end = end;
+    else joined.push({ start, end });
+  }
+  return packRanges128(joined);
+};
+
 const META_HASH_MULT = 2654435761;
 
 const buildMetaTable = (entries) => {
@@ -514,12 +866,14 @@ const buildMetaTable = (entries) => {
   const types = new Uint8Array(count);
   const offsets = new Uint32Array(count);
   const counts = new Uint32Array(count);
+  const tags = new Uint8Array(count);
   for (let i = 0; i < count; i++) {
     const entry = entries[i];
     keys[i] = entry.key >>> 0;
     types[i] = entry.type;
     offsets[i] = entry.offset >>> 0;
     counts[i] = entry.count >>> 0;
+    tags[i] = entry.tag;
   }
   let tableSize = 1;
   const target = Math.max(4, Math.ceil(count * 1.3));
@@ -531,7 +885,7 @@ const buildMetaTable = (entries) => {
     while (table[slot] !== 0) slot = (slot + 1) & mask;
     table[slot] = i + 1;
   }
-  return { keys, types, offsets, counts, table, mask };
+  return { keys, types, offsets, counts, tags, table, mask };
 };
 
 const metaLookup = (index, p0) => {
@@ -556,8 +910,10 @@ const buildSuperRanges = (superRanges) => {
   return ranges;
 };
 
-const containsSuperRange = (ranges, p0, p1, p2, p3) => {
-  if (!ranges.length) return false;
+const containsSuperRange = (ranges, p0, p1, p2, p3) => findSuperRange(ranges, p0, p1, p2, p3) !== null;
+
+const findSuperRange = (ranges, p0, p1, p2, p3) => {
+  if (!ranges.length) return null;
   let lo = 0;
   let hi = ranges.length - 1;
   let idx = -1;
@@ -571,21 +927,37 @@ const containsSuperRange = (ranges, p0, p1, p2, p3) => {
       hi = mid - 1;
     }
   }
-  if (idx < 0) return false;
+  if (idx < 0) return null;
   const range = ranges[idx];
-  return compare128(p0, p1, p2, p3, range.end[0], range.end[1], range.end[2], range.end[3]) <= 0;
+  return compare128(p0, p1, p2, p3, range.end[0], range.end[1], range.end[2], range.end[3]) <= 0 ? range : null;
+};
+
+const ipv6LineToRange = (line) => {
+  const entry = listEntry(line);
+  const dash = entry.indexOf("-");
+  if (dash === -1) return ipv6CidrToRange(entry.includes("/") ? entry : `${entry}/128`);
+  const start = parseIpv6Strict(entry.slice(0, dash).trim()).value;
+  const end = parseIpv6Strict(entry.slice(dash + 1).trim()).value;
+  if (!start || !end || compare128(start[0], start[1], start[2], start[3], end[0], end[1], end[2], end[3]) > 0) return null;
+  return { start, end };
 };
 
-const buildIpv6IndexFromCidrs = (cidrs) => {
+const ipv6RangesFromCidrs = (cidrs) => {
   const ranges = [];
   for (let i = 0; i < cidrs.length; i++) {
-    const range = ipv6CidrToRange(cidrs[i]);
+    const range = ipv6LineToRange(cidrs[i]);
     if (range) ranges.push(range);
   }
-  const merged = mergeRanges128(ranges);
+  return ranges;
+};
+
+// Tags are kept per bucket entry, per full bucket and per super range, as in the IPv4 index.
+const buildIpv6IndexFromRanges = (ranges) => {
+  const merged = segmentRanges128(ranges);
+  const packedRanges = packSegments128(merged);
 
   const bucketMap = new Map();
-  const fullBuckets = new Set();
+  const fullBuckets = new Map();
   const superRanges = [];
 
   for (let i = 0; i < merged.length; i++) {
@@ -601,7 +973,7 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
     const isFull = lowStart[1] === 0 && lowStart[2] === 0 && lowStart[3] === 0 &&
       lowEnd[1] === 0xFFFFFFFF && lowEnd[2] === 0xFFFFFFFF && lowEnd[3] === 0xFFFFFFFF;
     if (isFull) {
-      fullBuckets.add(high);
+      fullBuckets.set(high, range.tag);
       bucketMap.delete(high);
       continue;
     }
@@ -610,7 +982,7 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
       list = [];
       bucketMap.set(high, list);
     }
-    list.push([lowStart[1], lowStart[2], lowStart[3], lowEnd[1], lowEnd[2], lowEnd[3]]);
+    list.push([lowStart[1], lowStart[2], lowStart[3], lowEnd[1], lowEnd[2], lowEnd[3], range.tag]);
   }
 
   let total = 0;
@@ -622,7 +994,7 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
       const last = mergedLow[mergedLow.length - 1];
       const [endHi, endMid, endLo] = [last[3], last[4], last[5]];
       const [nextHi, nextMid, nextLo] = lowAddOne(endHi, endMid, endLo);
-      if (compareLow96(cur[0], cur[1], cur[2], nextHi, nextMid, nextLo) > 0) {
+      if (compareLow96(cur[0], cur[1], cur[2], nextHi, nextMid, nextLo) > 0 || cur[6] !== last[6]) {
         mergedLow.push(cur);
       } else if (compareLow96(cur[3], cur[4], cur[5], endHi, endMid, endLo) > 0) {
         last[3] = cur[3];
@@ -640,11 +1012,12 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
   const endsHi = new Uint32Array(total);
   const endsMid = new Uint32Array(total);
   const endsLo = new Uint32Array(total);
+  const tags = new Uint8Array(total);
 
   const metaEntries = [];
   let cursor = 0;
   for (const [high, list] of bucketMap.entries()) {
-    metaEntries.push({ key: high, type: 2, offset: cursor, count: list.length });
+    metaEntries.push({ key: high, type: 2, offset: cursor, count: list.length, tag: 0 });
     for (let i = 0; i < list.length; i++) {
       const row = list[i];
       startsHi[cursor] = row[0];
@@ -653,12 +1026,13 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
       endsHi[cursor] = row[3];
       endsMid[cursor] = row[4];
       endsLo[cursor] = row[5];
+      tags[cursor] = row[6];
       cursor++;
     }
   }
 
-  for (const high of fullBuckets) {
-    metaEntries.push({ key: high, type: 1, offset: 0, count: 0 });
+  for (const [high, tag] of fullBuckets) {
+    metaEntries.push({ key: high, type: 1, offset: 0, count: 0, tag });
   }
 
   const metaTableInfo = buildMetaTable(metaEntries);
@@ -670,16 +1044,21 @@ const buildIpv6IndexFromCidrs = (cidrs) => {
     metaCounts: metaTableInfo.counts,
     metaTable: metaTableInfo.table,
     metaMask: metaTableInfo.mask,
+    metaTags: metaTableInfo.tags,
     startsHi,
     startsMid,
     startsLo,
     endsHi,
     endsMid,
     endsLo,
+    tags,
     superRanges: buildSuperRanges(superRanges),
+    ranges: packedRanges,
   };
 };
 
+const buildIpv6IndexFromCidrs = (cidrs) => buildIpv6IndexFromRanges(ipv6RangesFromCidrs(cidrs));
+
 const containsIpv6Parts = (index, p0, p1, p2, p3) => {
   p0 >>>= 0;
   p1 >>>= 0;
@@ -691,6 +1070,11 @@ const containsIpv6Parts = (index, p0, p1, p2, p3) => {
   const metaIndex = metaLookup(index, p0);
   if (metaIndex < 0) return false;
   if (index.metaTypes[metaIndex] === 1) return true;
+  return ipv6BucketEntry(index, metaIndex, p1, p2, p3) >= 0;
+};
+
+// Position (in starts*/ends*/tags) of the entry in partial bucket `metaIndex` containing p1..p3, or -1.
+const ipv6BucketEntry = (index, metaIndex, p1, p2, p3) => {
   const offset = index.metaOffsets[metaIndex];
   const count = index.metaCounts[metaIndex];
   let lo = 0;
@@ -708,45 +1092,2315 @@ const containsIpv6Parts = (index, p0, p1, p2, p3) => {
       hi = mid - 1;
     }
   }
-  if (idx < 0) return false;
+  if (idx < 0) return -1;
   const endHi = index.endsHi[offset + idx];
   const endMid = index.endsMid[offset + idx];
   const endLo = index.endsLo[offset + idx];
-  return compareLow96(p1, p2, p3, endHi, endMid, endLo) <= 0;
+  return compareLow96(p1, p2, p3, endHi, endMid, endLo) <= 0 ? offset + idx : -1;
+};
+
+// The category tags of the IPv6 address (0 if it isn't listed).
+const ipv6TagsAt = (index, p0, p1, p2, p3) => {
+  p0 >>>= 0;
+  p1 >>>= 0;
+  p2 >>>= 0;
+  p3 >>>= 0;
+  const superRange = findSuperRange(index.superRanges, p0, p1, p2, p3);
+  if (superRange) return superRange.tag;
+  const metaIndex = metaLookup(index, p0);
+  if (metaIndex < 0) return 0;
+  if (index.metaTypes[metaIndex] === 1) return index.metaTags[metaIndex];
+  const entry = ipv6BucketEntry(index, metaIndex, p1, p2, p3);
+  return entry >= 0 ? index.tags[entry] : 0;
+};
+
+// IPv6 version of `ipv4IndexSegments` (unsorted; the merge step sorts them).
+const ipv6IndexSegments = (index) => {
+  const segments = index.superRanges.map(({ start, end, tag }) => ({ start, end, tag }));
+  for (let i = 0; i < index.metaKeys.length; i++) {
+    const key = index.metaKeys[i];
+    if (index.metaTypes[i] === 1) {
+      segments.push({ start: [key, 0, 0, 0], end: [key, 0xFFFFFFFF, 0xFFFFFFFF, 0xFFFFFFFF], tag: index.metaTags[i] });
+      continue;
+    }
+    const end = index.metaOffsets[i] + index.metaCounts[i];
+    for (let j = index.metaOffsets[i]; j < end; j++) {
+      segments.push({
+        start: [key, index.startsHi[j], index.startsMid[j], index.startsLo[j]],
+        end: [key, index.endsHi[j], index.endsMid[j], index.endsLo[j]],
+        tag: index.tags[j],
+      });
+    }
+  }
+  return segments;
 };
 
-let ipv4Index = buildIpv4IndexFromCidrs([]);
-let ipv6Index = buildIpv6IndexFromCidrs([]);
+// Both indexes also keep their merged ranges, packed into a Uint32Array (IPv4: start, end; IPv6:
+// start p0..p3, end p0..p3), sorted and disjoint. They aren't used for queries, only for things like
+// diffing one version of a list against the next. Address counts are numbers for IPv4 and BigInts
+// for IPv6.
+const ipv4RangesSize = (ranges) => {
+  let total = 0;
+  for (let i = 0; i < ranges.length; i += 2) total += ranges[i + 1] - ranges[i] + 1;
+  return total;
+};
 
-async function updateList() {
-  const timeoutMs = 20000;
-  const ipv4CidrRanges = await fetch(IPV4_LIST_URL, { signal: AbortSignal.timeout(timeoutMs) }).then(r => r.text()).then(t => t.trim().split("\n"));
-  const ipv6CidrRanges = await fetch(IPV6_LIST_URL, { signal: AbortSignal.timeout(timeoutMs) }).then(r => r.text()).then(t => t.trim().split("\n"));
-  ipv4Index = buildIpv4IndexFromCidrs(ipv4CidrRanges);
-  ipv6Index = buildIpv6IndexFromCidrs(ipv6CidrRanges);
-}
+const diffRanges32 = (oldRanges, newRanges) => {
+  let overlap = 0;
+  let i = 0;
+  let j = 0;
+  while (i < oldRanges.length && j < newRanges.length) {
+    const lo = Math.max(oldRanges[i], newRanges[j]);
+    const hi = Math.min(oldRanges[i + 1], newRanges[j + 1]);
+    if (lo <= hi) overlap += hi - lo + 1;
+    if (oldRanges[i + 1] < newRanges[j + 1]) i += 2;
+    else j += 2;
+  }
+  return {
+    addedAddresses: ipv4RangesSize(newRanges) - overlap,
+    removedAddresses: ipv4RangesSize(oldRanges) - overlap,
+  };
+};
 
-await updateList();
-setInterval(updateList, 1000 * 60 * 60 * 12);
+const partsToBigInt = (p0, p1, p2, p3) =>
+  (BigInt(p0) << 96n) | (BigInt(p1) << 64n) | (BigInt(p2) << 32n) | BigInt(p3);
 
-const isVpnV4 = (ip) => {
-  const ipInt = ipv4ToInt(ip);
-  if (ipInt === null) return false;
-  return containsIpv4(ipv4Index, ipInt);
+const ipv6RangeBounds = (ranges, i) => [
+  partsToBigInt(ranges[i], ranges[i + 1], ranges[i + 2], ranges[i + 3]),
+  partsToBigInt(ranges[i + 4], ranges[i + 5], ranges[i + 6], ranges[i + 7]),
+];
+
+const ipv6RangesSize = (ranges) => {
+  let total = 0n;
+  for (let i = 0; i < ranges.length; i += 8) {
+    const [start, end] = ipv6RangeBounds(ranges, i);
+    total += end - start + 1n;
+  }
+  return total;
 };
 
-const isVpnV6 = (ip) => {
-  const parts = ipv6ToParts(ip);
-  if (!parts) return false;
-  return containsIpv6Parts(ipv6Index, parts[0], parts[1], parts[2], parts[3]);
+const diffRanges128 = (oldRanges, newRanges) => {
+  let overlap = 0n;
+  let i = 0;
+  let j = 0;
+  while (i < oldRanges.length && j < newRanges.length) {
+    const [oldStart, oldEnd] = ipv6RangeBounds(oldRanges, i);
+    const [newStart, newEnd] = ipv6RangeBounds(newRanges, j);
+    const lo = oldStart > newStart ? oldStart : newStart;
+    const hi = oldEnd < newEnd ? oldEnd : newEnd;
+    if (lo <= hi) overlap += hi - lo + 1n;
+    if (oldEnd < newEnd) i += 8;
+    else j += 8;
+  }
+  return {
+    addedAddresses: ipv6RangesSize(newRanges) - overlap,
+    removedAddresses: ipv6RangesSize(oldRanges) - overlap,
+  };
 };
 
-export const isVpn = (ip) => {
+// Exporting: merged ranges back to the fewest aligned CIDRs. Each step takes the largest block that
+// both starts on a boundary of its own size and fits in what's left of the range.
+const ipv4RangeToCidrs = (start, end, out) => {
+  while (start <= end) {
+    let size = start === 0 ? 2 ** 32 : (start & -start) >>> 0;
+    while (size > end - start + 1) size /= 2;
+    out.push(`${ipv4IntToString(start)}/${32 - Math.log2(size)}`);
+    start += size;
+  }
+};
+
+const ipv6RangeToCidrs = (start, end, out) => {
+  while (start <= end) {
+    let size = start === 0n ? 1n << 128n : start & -start;
+    const remaining = end - start + 1n;
+    while (size > remaining) size >>= 1n;
+    const prefix = 128 - (size.toString(2).length - 1);
+    const address = ipv6PartsToString(
+      Number(start >> 96n),
+      Number((start >> 64n) & 0xFFFFFFFFn),
+      Number((start >> 32n) & 0xFFFFFFFFn),
+      Number(start & 0xFFFFFFFFn),
+      false,
+    );
+    out.push(`${address}/${prefix}`);
+    start += size;
+  }
+};
+
+const ipv4IndexToCidrs = (index) => {
+  const cidrs = [];
+  for (let i = 0; i < index.ranges.length; i += 2) ipv4RangeToCidrs(index.ranges[i], index.ranges[i + 1], cidrs);
+  return cidrs;
+};
+
+const ipv6IndexToCidrs = (index) => {
+  const cidrs = [];
+  for (let i = 0; i < index.ranges.length; i += 8) {
+    const [start, end] = ipv6RangeBounds(index.ranges, i);
+    ipv6RangeToCidrs(start, end, cidrs);
+  }
+  return cidrs;
+};
+
+// `ipv4`/`ipv6` are CIDR arrays, or null for a family that wasn't asked for. `name` is the nginx
+// variable (without "$") or the ipset/nftables set name prefix (sets get "_v4"/"_v6" appended).
+const EXPORT_FORMATS = {
+  cidr: ({ ipv4, ipv6 }) => [...(ipv4 ?? []), ...(ipv6 ?? [])].map((cidr) => `${cidr}\n`).join(""),
+  nginx: ({ ipv4, ipv6 }, name) => [
+    `geo $${name} {\n`,
+    "  default 0;\n",
+    ...[...(ipv4 ?? []), ...(ipv6 ?? [])].map((cidr) => `  ${cidr} 1;\n`),
+    "}\n",
+  ].join(""),
+  ipset: ({ ipv4, ipv6 }, name) => {
+    const lines = [];
+    for (const [cidrs, suffix, family] of [[ipv4, "v4", "inet"], [ipv6, "v6", "inet6"]]) {
+      if (!cidrs) continue;
+      const set = `${name}_${suffix}`;
+      lines.push(`create ${set} hash:net family ${family} maxelem ${Math.max(65536, cidrs.length)} -exist`);
+      for (const cidr of cidrs) lines.push(`add ${set} ${cidr} -exist`);
+    }
+    return lines.map((line) => `${line}\n`).join("");
+  },
+  nft: ({ ipv4, ipv6 }, name) => {
+    const sets = [];
+    for (const [cidrs, suffix, type] of [[ipv4, "v4", "ipv4_addr"], [ipv6, "v6", "ipv6_addr"]]) {
+      if (!cidrs) continue;
+      const elements = cidrs.length ? `\n  elements = {\n${cidrs.map((cidr) => `    ${cidr},\n`).join("")}  }` : "";
+      sets.push(`set ${name}_${suffix} {\n  type ${type}\n  flags interval${elements}\n}\n`);
+    }
+    return sets.join("\n");
+  },
+  json: (exported) => JSON.stringify(exported),
+};
+
+// Range coverage: how many addresses of [start, end] an index covers, walking only the buckets the
+// range touches (at most 65,536 for IPv4; for IPv6 wider than a /32, the bucket table is scanned
+// instead of the p0 values, since it only has as many entries as there are populated buckets).
+// Every merged range lives in exactly one place (a full bucket, a partial bucket's list, or the
+// IPv6 super ranges), so the per-place counts can simply be added up.
+const ipv4RangeCoverage = (index, start, end) => {
+  let covered = 0;
+  const startHigh = start >>> 16;
+  const endHigh = end >>> 16;
+  for (let high = startHigh; high <= endHigh; high++) {
+    const type = index.bucketType[high];
+    if (type === 0) continue;
+    const lowStart = high === startHigh ? (start & 0xFFFF) : 0;
+    const lowEnd = high === endHigh ? (end & 0xFFFF) : 0xFFFF;
+    if (type === 1) {
+      covered += lowEnd - lowStart + 1;
+      continue;
+    }
+    const offset = index.offsets[high];
+    const count = index.counts[high];
+    let lo = 0;
+    let hi = count - 1;
+    let first = count;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      if (index.ends[offset + mid] >= lowStart) {
+        first = mid;
+        hi = mid - 1;
+      } else {
+        lo = mid + 1;
+      }
+    }
+    for (let i = first; i < count && index.starts[offset + i] <= lowEnd; i++) {
+      covered += Math.min(index.ends[offset + i], lowEnd) - Math.max(index.starts[offset + i], lowStart) + 1;
+    }
+  }
+  return covered;
+};
+
+const LOW96_MAX = (1n << 96n) - 1n;
+
+const low96ToBigInt = (hi, mid, lo) => (BigInt(hi) << 64n) | (BigInt(mid) << 32n) | BigInt(lo);
+
+const ipv6RangeCoverage = (index, start, end) => {
+  const startBig = partsToBigInt(start[0], start[1], start[2], start[3]);
+  const endBig = partsToBigInt(end[0], end[1], end[2], end[3]);
+  let covered = 0n;
+  for (const range of index.superRanges) {
+    const lo = partsToBigInt(range.start[0], range.start[1], range.start[2], range.start[3]);
+    const hi = partsToBigInt(range.end[0], range.end[1], range.end[2], range.end[3]);
+    const overlapStart = lo > startBig ? lo : startBig;
+    const overlapEnd = hi < endBig ? hi : endBig;
+    if (overlapStart <= overlapEnd) covered += overlapEnd - overlapStart + 1n;
+  }
+  const bucketCoverage = (metaIndex) => {
+    const key = index.metaKeys[metaIndex];
+    const lowStart = key === start[0] ? low96ToBigInt(start[1], start[2], start[3]) : 0n;
+    const lowEnd = key === end[0] ? low96ToBigInt(end[1], end[2], end[3]) : LOW96_MAX;
+    if (index.metaTypes[metaIndex] === 1) return lowEnd - lowStart + 1n;
+    const offset = index.metaOffsets[metaIndex];
+    const count = index.metaCounts[metaIndex];
+    let sum = 0n;
+    for (let i = 0; i < count; i++) {
+      const rangeStart = low96ToBigInt(index.startsHi[offset + i], index.startsMid[offset + i], index.startsLo[offset + i]);
+      if (rangeStart > lowEnd) break;
+      const rangeEnd = low96ToBigInt(index.endsHi[offset + i], index.endsMid[offset + i], index.endsLo[offset + i]);
+      if (rangeEnd < lowStart) continue;
+      sum += (rangeEnd < lowEnd ? rangeEnd : lowEnd) - (rangeStart > lowStart ? rangeStart : lowStart) + 1n;
+    }
+    return sum;
+  };
+  if (start[0] === end[0]) {
+    const metaIndex = metaLookup(index, start[0]);
+    if (metaIndex >= 0) covered += bucketCoverage(metaIndex);
+  } else {
+    for (let i = 0; i < index.metaKeys.length; i++) {
+      const key = index.metaKeys[i];
+      if (key >= start[0] && key <= end[0]) covered += bucketCoverage(i);
+    }
+  }
+  return covered;
+};
+
+// Snapshot layout: a header of Uint32 words, followed by every typed array of both indexes, each
+// starting on an 8-byte boundary so they can be read back as views over the buffer (no parsing, no
+// copying). IPv6 super ranges are packed as 8 words each: start p0..p3, end p0..p3, with their tags
+// in a separate section. The category names behind the tag bits are stored as UTF-8 JSON.
+const SNAPSHOT_MAGIC = 0x4E505649; // "IVPN" when read as little-endian bytes
+const SNAPSHOT_VERSION = 3;
+const SNAPSHOT_HEADER_WORDS = 11;
+
+const snapshotLayout = (ipv4Count, metaCount, metaTableSize, ipv6Count, superCount, ipv4MergedCount, ipv6MergedCount, categoriesLength) => [
+  ["v4", "bucketType", Uint8Array, 65536],
+  ["v4", "offsets", Uint32Array, 65536],
+  ["v4", "counts", Uint32Array, 65536],
+  ["v4", "starts", Uint16Array, ipv4Count],
+  ["v4", "ends", Uint16Array, ipv4Count],
+  ["v6", "metaKeys", Uint32Array, metaCount],
+  ["v6", "metaTypes", Uint8Array, metaCount],
+  ["v6", "metaOffsets", Uint32Array, metaCount],
+  ["v6", "metaCounts", Uint32Array, metaCount],
+  ["v6", "metaTable", Uint32Array, metaTableSize],
+  ["v6", "startsHi", Uint32Array, ipv6Count],
+  ["v6", "startsMid", Uint32Array, ipv6Count],
+  ["v6", "startsLo", Uint32Array, ipv6Count],
+  ["v6", "endsHi", Uint32Array, ipv6Count],
+  ["v6", "endsMid", Uint32Array, ipv6Count],
+  ["v6", "endsLo", Uint32Array, ipv6Count],
+  ["v6", "superRanges", Uint32Array, superCount * 8],
+  ["v4", "ranges", Uint32Array, ipv4MergedCount * 2],
+  ["v6", "ranges", Uint32Array, ipv6MergedCount * 8],
+  ["v4", "bucketTags", Uint8Array, 65536],
+  ["v4", "tags", Uint8Array, ipv4Count],
+  ["v6", "metaTags", Uint8Array, metaCount],
+  ["v6", "tags", Uint8Array, ipv6Count],
+  ["v6", "superTags", Uint8Array, superCount],
+  ["meta", "categories", Uint8Array, categoriesLength],
+];
+
+const forEachSnapshotSection = (layout, fn) => {
+  let offset = SNAPSHOT_HEADER_WORDS * 4;
+  for (const [family, name, Ctor, length] of layout) {
+    fn(family, name, Ctor, length, offset);
+    offset += Ctor.BYTES_PER_ELEMENT * length;
+    offset = (offset + 7) & ~7;
+  }
+  return offset;
+};
+
+const serializeIndexes = (ipv4Index, ipv6Index, { shared = false, categories = [] } = {}) => {
+  const categoryBytes = new TextEncoder().encode(JSON.stringify(categories));
+  const layout = snapshotLayout(
+    ipv4Index.starts.length,
+    ipv6Index.metaKeys.length,
+    ipv6Index.metaTable.length,
+    ipv6Index.startsHi.length,
+    ipv6Index.superRanges.length,
+    ipv4Index.ranges.length / 2,
+    ipv6Index.ranges.length / 8,
+    categoryBytes.length,
+  );
+  const sources = {
+    v4: ipv4Index,
+    v6: {
+      ...ipv6Index,
+      superRanges: packRanges128(ipv6Index.superRanges),
+      superTags: Uint8Array.from(ipv6Index.superRanges, (range) => range.tag),
+    },
+    meta: { categories: categoryBytes },
+  };
+  const byteLength = forEachSnapshotSection(layout, () => {});
+  const buffer = shared ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength);
+  const header = new Uint32Array(buffer, 0, SNAPSHOT_HEADER_WORDS);
+  header[0] = SNAPSHOT_MAGIC;
+  header[1] = SNAPSHOT_VERSION;
+  header[2] = ipv4Index.starts.length;
+  header[3] = ipv6Index.metaKeys.length;
+  header[4] = ipv6Index.metaTable.length;
+  header[5] = ipv6Index.metaMask;
+  header[6] = ipv6Index.startsHi.length;
+  header[7] = ipv6Index.superRanges.length;
+  header[8] = ipv4Index.ranges.length / 2;
+  header[9] = ipv6Index.ranges.length / 8;
+  header[10] = categoryBytes.length;
+  forEachSnapshotSection(layout, (family, name, Ctor, length, offset) => {
+    new Ctor(buffer, offset, length).set(sources[family][name]);
+  });
+  return buffer;
+};
+
+const deserializeIndexes = (snapshot) => {
+  let buffer = snapshot;
+  let byteOffset = 0;
+  if (ArrayBuffer.isView(snapshot)) {
+    // Views (e.g. a Node Buffer from readFile) are only usable in place if they're suitably aligned.
+    if (snapshot.byteOffset % 8 === 0) {
+      buffer = snapshot.buffer;
+      byteOffset = snapshot.byteOffset;
+    } else {
+      buffer = new Uint8Array(snapshot.buffer, snapshot.byteOffset, snapshot.byteLength).slice().buffer;
+    }
+  }
+  if (buffer.byteLength - byteOffset < SNAPSHOT_HEADER_WORDS * 4) throw new Error("is-vpn: snapshot is too short");
+  const header = new Uint32Array(buffer, byteOffset, SNAPSHOT_HEADER_WORDS);
+  if (header[0] !== SNAPSHOT_MAGIC) throw new Error("is-vpn: not an index snapshot");
+  if (header[1] !== SNAPSHOT_VERSION) throw new Error(`is-vpn: unsupported snapshot version ${header[1]} (expected ${SNAPSHOT_VERSION})`);
+  const layout = snapshotLayout(header[2], header[3], header[4], header[6], header[7], header[8], header[9], header[10]);
+  const byteLength = forEachSnapshotSection(layout, () => {});
+  if (buffer.byteLength - byteOffset < byteLength) throw new Error("is-vpn: snapshot is truncated");
+  const ipv4Index = {};
+  const ipv6Index = { metaMask: header[5] };
+  const meta = {};
+  const targets = { v4: ipv4Index, v6: ipv6Index, meta };
+  forEachSnapshotSection(layout, (family, name, Ctor, length, offset) => {
+    targets[family][name] = new Ctor(buffer, byteOffset + offset, length);
+  });
+  ipv6Index.superRanges = unpackRanges128(ipv6Index.superRanges);
+  for (let i = 0; i < ipv6Index.superRanges.length; i++) ipv6Index.superRanges[i].tag = ipv6Index.superTags[i];
+  delete ipv6Index.superTags;
+  // TextDecoder won't read views over a SharedArrayBuffer, hence the copy.
+  const categories = JSON.parse(new TextDecoder().decode(meta.categories.slice()));
+  return { ipv4Index, ipv6Index, categories };
+};
+
+// Overlays are the user's own allow/deny CIDRs (either family), applied whenever an index is built:
+// deny ranges are merged into the list's ranges, then allow ranges are subtracted from the result.
+const parseOverlay = ({ allow = [], deny = [] } = {}) => {
+  const overlay = {
+    ipv4: { allow: [], deny: [], denyCidrs: [] },
+    ipv6: { allow: [], deny: [], denyCidrs: [] },
+  };
+  const add = (kind, cidrs) => {
+    for (const cidr of cidrs) {
+      const family = cidr.includes(":") ? "ipv6" : "ipv4";
+      const range = family === "ipv4" ? ipv4CidrToRange(cidr) : ipv6CidrToRange(cidr);
+      if (!range) throw new Error(`is-vpn: invalid ${kind} CIDR "${cidr}"`);
+      overlay[family][kind].push(range);
+      if (kind === "deny") overlay[family].denyCidrs.push(cidr);
+    }
+  };
+  add("allow", allow);
+  add("deny", deny);
+  overlay.ipv4.allow = mergeRanges32(overlay.ipv4.allow);
+  overlay.ipv6.allow = mergeRanges128(overlay.ipv6.allow);
+  return overlay;
+};
+
+const overlayIsEmpty = ({ ipv4, ipv6 }) =>
+  !ipv4.allow.length && !ipv4.deny.length && !ipv6.allow.length && !ipv6.deny.length;
+
+// `ranges` are the lists' tagged ranges, in any order. Deny ranges join them under the deny tag, and
+// allow ranges are then cut out of the segmented result. The merge functions mutate the ranges
+// they're given, so the overlay's deny ranges are copied first.
+const applyOverlay32 = (ranges, { allow, deny }) => {
+  let segments = segmentRanges32(deny.length ? ranges.concat(deny.map((range) => ({ ...range, tag: DENY_TAG }))) : ranges);
+  if (allow.length) segments = subtractRanges32(segments, allow);
+  return segments;
+};
+
+const applyOverlay128 = (ranges, { allow, deny }) => {
+  let segments = segmentRanges128(deny.length ? ranges.concat(deny.map((range) => ({ ...range, tag: DENY_TAG }))) : ranges);
+  if (allow.length) segments = subtractRanges128(segments, allow);
+  return segments;
+};
+
+// Source indexes keep the original list entries (before merging) so a positive lookup can be explained.
+// Entries are sorted by start; maxEnds[i] is the largest end among entries 0..i, which lets a lookup
+// walk backwards from the last entry starting at or before the IP and stop as soon as nothing earlier
+// can still contain it. They're only built when first needed, so `isVpn` never pays for them.
+const buildIpv4SourceIndex = (cidrs) => {
+  const entries = [];
+  for (let i = 0; i < cidrs.length; i++) {
+    const range = ipv4LineToRange(cidrs[i]);
+    if (range) entries.push({ start: range.start, end: range.end, cidr: listEntry(cidrs[i]) });
+  }
+  entries.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+  const starts = new Uint32Array(entries.length);
+  const ends = new Uint32Array(entries.length);
+  const maxEnds = new Uint32Array(entries.length);
+  const sourceCidrs = new Array(entries.length);
+  let maxEnd = 0;
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    starts[i] = entry.start;
+    ends[i] = entry.end;
+    if (entry.end > maxEnd) maxEnd = entry.end;
+    maxEnds[i] = maxEnd;
+    sourceCidrs[i] = entry.cidr;
+  }
+  return { starts, ends, maxEnds, cidrs: sourceCidrs };
+};
+
+const findIpv4SourceRanges = (sourceIndex, ipInt) => {
+  const { starts, ends, maxEnds, cidrs } = sourceIndex;
+  let lo = 0;
+  let hi = starts.length - 1;
+  let idx = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >>> 1;
+    if (starts[mid] <= ipInt) {
+      idx = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const found = [];
+  for (let i = idx; i >= 0 && maxEnds[i] >= ipInt; i--) {
+    if (ends[i] >= ipInt) found.push(cidrs[i]);
+  }
+  return found.reverse();
+};
+
+const buildIpv6SourceIndex = (cidrs) => {
+  const entries = [];
+  for (let i = 0; i < cidrs.length; i++) {
+    const range = ipv6LineToRange(cidrs[i]);
+    if (range) entries.push({ start: range.start, end: range.end, maxEnd: null, cidr: listEntry(cidrs[i]) });
+  }
+  entries.sort((a, b) => {
+    const c = compare128(a.start[0], a.start[1], a.start[2], a.start[3], b.start[0], b.start[1], b.start[2], b.start[3]);
+    if (c !== 0) return c;
+    return compare128(b.end[0], b.end[1], b.end[2], b.end[3], a.end[0], a.end[1], a.end[2], a.end[3]);
+  });
+  let maxEnd = null;
+  for (let i = 0; i < entries.length; i++) {
+    const end = entries[i].end;
+    if (maxEnd === null || compare128(end[0], end[1], end[2], end[3], maxEnd[0], maxEnd[1], maxEnd[2], maxEnd[3]) > 0) maxEnd = end;
+    entries[i].maxEnd = maxEnd;
+  }
+  return entries;
+};
+
+const findIpv6SourceRanges = (entries, p0, p1, p2, p3) => {
+  let lo = 0;
+  let hi = entries.length - 1;
+  let idx = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >>> 1;
+    const start = entries[mid].start;
+    if (compare128(start[0], start[1], start[2], start[3], p0, p1, p2, p3) <= 0) {
+      idx = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const found = [];
+  for (let i = idx; i >= 0; i--) {
+    const { end, maxEnd, cidr } = entries[i];
+    if (compare128(maxEnd[0], maxEnd[1], maxEnd[2], maxEnd[3], p0, p1, p2, p3) < 0) break;
+    if (compare128(end[0], end[1], end[2], end[3], p0, p1, p2, p3) >= 0) found.push(cidr);
+  }
+  return found.reverse();
+};
+
+const ipv4IntToString = (ipInt) =>
+  `${ipInt >>> 24}.${(ipInt >>> 16) & 0xFF}.${(ipInt >>> 8) & 0xFF}.${ipInt & 0xFF}`;
+
+// RFC 5952 form: lowercase, no leading zeros, the longest run (2+) of zero groups shortened to "::",
+// and (unless `dottedMapped` is false) IPv4-mapped addresses written with a dotted tail.
+const ipv6PartsToString = (p0, p1, p2, p3, dottedMapped = true) => {
+  if (dottedMapped && p0 === 0 && p1 === 0 && p2 === 0xFFFF) return `::ffff:${ipv4IntToString(p3)}`;
+  const groups = [p0 >>> 16, p0 & 0xFFFF, p1 >>> 16, p1 & 0xFFFF, p2 >>> 16, p2 & 0xFFFF, p3 >>> 16, p3 & 0xFFFF];
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+  const hex = groups.map((group) => group.toString(16));
+  if (bestStart === -1) return hex.join(":");
+  return `${hex.slice(0, bestStart).join(":")}::${hex.slice(bestStart + bestLength).join(":")}`;
+};
+
+// Strict parsing, for `checkIp` and CIDRs (list entries, overlays, ...). The fast parsers above are
+// deliberately lenient (and ignore anything after "/" or "%"); these reject anything that isn't a
+// plain address, with a reason code:
+//   not-a-string, empty, unrecognized, invalid-character, prefix-length, zone-id,
+//   IPv4: octet-count, empty-octet, leading-zero, octet-out-of-range
+//   IPv6: multiple-double-colon, empty-group, group-too-long, too-many-groups, too-few-groups,
+//         misplaced-ipv4 (plus the IPv4 reasons, for a dotted tail)
+const DECIMAL_DIGITS = /^[0-9]+$/;
+const PREFIX_DIGITS = /^[0-9]{1,3}$/;
+const HEX_DIGITS = /^[0-9a-fA-F]+$/;
+
+const parseIpv4Strict = (ip) => {
+  const octets = ip.split(".");
+  if (octets.length !== 4) return { reason: octets.some((octet) => octet === "") ? "empty-octet" : "octet-count" };
+  let value = 0;
+  for (const octet of octets) {
+    if (octet === "") return { reason: "empty-octet" };
+    if (!DECIMAL_DIGITS.test(octet)) return { reason: "invalid-character" };
+    // "010" is octal to some parsers and decimal to others, so it's rejected rather than guessed.
+    if (octet.length > 1 && octet[0] === "0") return { reason: "leading-zero" };
+    const n = Number(octet);
+    if (n > 255) return { reason: "octet-out-of-range" };
+    value = value * 256 + n;
+  }
+  return { value };
+};
+
+const parseIpv6Strict = (ip) => {
+  const halves = ip.split("::");
+  if (halves.length > 2) return { reason: "multiple-double-colon" };
+  const sides = halves.map((half) => half === "" ? [] : half.split(":"));
+  const groups = [];
+  for (let s = 0; s < sides.length; s++) {
+    const side = sides[s];
+    for (let i = 0; i < side.length; i++) {
+      const group = side[i];
+      if (group === "") return { reason: "empty-group" };
+      if (group.includes(".")) {
+        if (s !== sides.length - 1 || i !== side.length - 1) return { reason: "misplaced-ipv4" };
+        const tail = parseIpv4Strict(group);
+        if (tail.reason) return tail;
+        groups.push(Math.floor(tail.value / 65536), tail.value & 0xFFFF);
+        continue;
+      }
+      if (!HEX_DIGITS.test(group)) return { reason: "invalid-character" };
+      if (group.length > 4) return { reason: "group-too-long" };
+      groups.push(parseInt(group, 16));
+    }
+    if (s === 0 && sides.length === 2) groups.push(null);
+  }
+  const explicit = groups.length - (sides.length === 2 ? 1 : 0);
+  if (sides.length === 2 ? explicit > 7 : explicit > 8) return { reason: "too-many-groups" };
+  if (sides.length === 1 && explicit < 8) return { reason: "too-few-groups" };
+  const gap = groups.indexOf(null);
+  if (gap !== -1) groups.splice(gap, 1, ...new Array(8 - explicit).fill(0));
+  return {
+    value: [
+      ((groups[0] << 16) | groups[1]) >>> 0,
+      ((groups[2] << 16) | groups[3]) >>> 0,
+      ((groups[4] << 16) | groups[5]) >>> 0,
+      ((groups[6] << 16) | groups[7]) >>> 0,
+    ],
+  };
+};
+
+const parseIpStrict = (ip) => {
+  if (typeof ip !== "string") return { family: null, reason: "not-a-string" };
+  if (ip === "") return { family: null, reason: "empty" };
+  const family = ip.includes(":") ? 6 : ip.includes(".") ? 4 : null;
+  if (family === null) return { family, reason: "unrecognized" };
+  if (ip.includes("/")) return { family, reason: "prefix-length" };
+  if (ip.includes("%")) return { family, reason: "zone-id" };
+  return { family, ...(family === 4 ? parseIpv4Strict(ip) : parseIpv6Strict(ip)) };
+};
+
+// The IPv4 address (as a uint32) carried inside an IPv6 one, or -1. Covers IPv4-mapped (::ffff:0:0/96,
+// what dual-stack sockets report), NAT64 (64:ff9b::/96), 6to4 (2002::/16, address in bits 16-47)
+// and Teredo (2001::/32, client address inverted in the last 32 bits).
+const embeddedIpv4 = (p0, p1, p2, p3) => {
+  p0 >>>= 0;
+  if (p0 === 0 && p1 === 0 && p2 === 0xFFFF) return p3 >>> 0;
+  if (p0 === 0x0064FF9B && p1 === 0 && p2 === 0) return p3 >>> 0;
+  if ((p0 >>> 16) === 0x2002) return ((p0 << 16) | (p1 >>> 16)) >>> 0;
+  if (p0 === 0x20010000) return ~p3 >>> 0;
+  return -1;
+};
+
+// Same early-exit scan as `isVpn`: 4, 6, or 0 if the string can't be an IP.
+const ipFamily = (ip) => {
   for (let i = 0; i < ip.length; i++) {
     const code = ip.charCodeAt(i);
-    if (code === 58) return isVpnV6(ip);
-    if (code === 46) return isVpnV4(ip);
+    if (code === 58) return 6;
+    if (code === 46) return 4;
     if (code === 47 || code === 37) break;
   }
-  return false;
+  return 0;
+};
+
+const MAX_IPV6_BIGINT = (1n << 128n) - 1n;
+
+const DEFAULT_REFRESH_INTERVAL_MS = 1000 * 60 * 60 * 12;
+const DEFAULT_FETCH_TIMEOUT_MS = 20000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 60000;
+const DEFAULT_MAX_INVALID_LINE_RATIO = 0.01;
+const DEFAULT_MAX_SHRINK_PERCENT = 50;
+const DEFAULT_MIN_PREFIX_LENGTH = { ipv4: 8, ipv6: 16 };
+const DEFAULT_SHARE_CHANNEL = "is-vpn";
+const DEFAULT_IPSUM_MIN_SCORE = 3;
+const LIST_FORMATS = ["cidr", "ipsum"];
+
+// `list` is the failing list's key: "ipv4"/"ipv6", or "<name>.ipv4"/"<name>.ipv6" for named `lists`.
+// `reason` is one of "network", "http-status" (see `status`), "truncated", "checksum", "invalid", or
+// one of the guards: "too-few-lines", "shrunk", "grew" or "range-too-large". A list rejected after
+// parsing has its parse report in `diagnostics` (see `parseListSteps`).
+const GUARD_REASONS = ["too-few-lines", "shrunk", "grew", "range-too-large"];
+
+export class ListUpdateError extends Error {
+  constructor(message, { list, reason, status = null, diagnostics = null, cause } = {}) {
+    super(`is-vpn: ${message}`, { cause });
+    this.name = "ListUpdateError";
+    this.list = list;
+    this.reason = reason;
+    this.status = status;
+    this.diagnostics = diagnostics;
+  }
+}
+
+const defaultOnError = (err) => console.warn(err);
+
+// Sizes of a built index for `getStats()`. `bytes` is what its typed arrays take up (views over one
+// snapshot buffer count their own part of it); super ranges are plain objects and aren't included.
+const typedArrayBytes = (object) => Object.values(object).reduce((sum, value) => sum + (ArrayBuffer.isView(value) ? value.byteLength : 0), 0);
+
+const countValues = (array, value) => {
+  let count = 0;
+  for (let i = 0; i < array.length; i++) if (array[i] === value) count++;
+  return count;
+};
+
+const ipv4IndexStats = (index) => ({
+  fullBuckets: countValues(index.bucketType, 1),
+  partialBuckets: countValues(index.bucketType, 2),
+  bucketEntries: index.starts.length,
+  mergedRanges: index.ranges.length / 2,
+  bytes: typedArrayBytes(index),
+});
+
+const ipv6IndexStats = (index) => ({
+  metaEntries: index.metaKeys.length,
+  fullBuckets: countValues(index.metaTypes, 1),
+  partialBuckets: countValues(index.metaTypes, 2),
+  bucketEntries: index.startsHi.length,
+  superRanges: index.superRanges.length,
+  mergedRanges: index.ranges.length / 8,
+  bytes: typedArrayBytes(index),
+});
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+// `getStats()` in the Prometheus text exposition format. Times become Unix seconds, as Prometheus
+// expects; metrics without a value yet (e.g. no update so far) are left out.
+export const statsToPrometheus = (stats, { prefix = "is_vpn" } = {}) => {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    const present = samples.filter(([, value]) => value !== null && value !== undefined);
+    if (!present.length) return;
+    lines.push(`# HELP ${prefix}_${name} ${help}`, `# TYPE ${prefix}_${name} ${type}`);
+    for (const [labels, value] of present) {
+      const labelText = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`).join(",");
+      lines.push(`${prefix}_${name}${labelText ? `{${labelText}}` : ""} ${Number(value)}`);
+    }
+  };
+  const seconds = (ms) => (ms === null ? null : ms / 1000);
+  const families = ["ipv4", "ipv6"];
+  const perFamily = (key) => families.map((family) => [{ family }, stats[family][key]]);
+
+  metric("loaded", "gauge", "Whether an index has been loaded.", [[{}, stats.loaded ? 1 : 0]]);
+  metric("last_update_timestamp_seconds", "gauge", "When an index was last swapped in.", [[{}, seconds(stats.lastUpdateAt)]]);
+  metric("last_error_timestamp_seconds", "gauge", "When a refresh last failed.", [[{}, seconds(stats.lastError?.at ?? null)]]);
+  const lists = Object.entries(stats.lists);
+  metric("list_updated_timestamp_seconds", "gauge", "When each list's current data was downloaded or loaded.",
+    lists.map(([list, { updatedAt }]) => [{ list }, seconds(updatedAt)]));
+  metric("list_age_seconds", "gauge", "Time since each list was last confirmed by upstream.",
+    lists.map(([list, { ageMs }]) => [{ list }, seconds(ageMs)]));
+  metric("list_stale", "gauge", "Whether each list is being served from a stale cache.",
+    lists.map(([list, { stale }]) => [{ list }, stale ? 1 : 0]));
+  metric("index_full_buckets", "gauge", "Fully covered buckets in the index.", perFamily("fullBuckets"));
+  metric("index_partial_buckets", "gauge", "Partially covered buckets in the index.", perFamily("partialBuckets"));
+  metric("index_bucket_entries", "gauge", "Ranges stored inside partial buckets.", perFamily("bucketEntries"));
+  metric("index_meta_entries", "gauge", "Entries in the IPv6 bucket hash table.", [[{ family: "ipv6" }, stats.ipv6.metaEntries]]);
+  metric("index_super_ranges", "gauge", "IPv6 ranges spanning several buckets.", [[{ family: "ipv6" }, stats.ipv6.superRanges]]);
+  metric("index_merged_ranges", "gauge", "Merged ranges in the index.", perFamily("mergedRanges"));
+  metric("index_bytes", "gauge", "Memory used by the index's typed arrays.", perFamily("bytes"));
+  metric("queries_total", "counter", "isVpn and checkIp queries.", perFamily("queries"));
+  metric("matches_total", "counter", "isVpn and checkIp queries that matched.", perFamily("matches"));
+  if (stats.resultCache) {
+    metric("result_cache_entries", "gauge", "Entries in the isVpn result cache.", [[{}, stats.resultCache.size]]);
+    metric("result_cache_hits_total", "counter", "isVpn result cache hits.", [[{}, stats.resultCache.hits]]);
+    metric("result_cache_misses_total", "counter", "isVpn result cache misses.", [[{}, stats.resultCache.misses]]);
+  }
+  return `${lines.join("\n")}\n`;
+};
+
+// A bounded LRU: a Map's insertion order is its recency order, so a hit moves the entry to the end
+// and the first key is the one to evict. `hits`/`misses` are counted across `clear()`s.
+const createLruCache = (maxSize) => {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+  let flushes = 0;
+  return {
+    get: (key) => {
+      const value = entries.get(key);
+      if (value === undefined) {
+        misses++;
+        return undefined;
+      }
+      hits++;
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set: (key, value) => {
+      if (entries.size >= maxSize) entries.delete(entries.keys().next().value);
+      entries.set(key, value);
+    },
+    clear: () => {
+      entries.clear();
+      flushes++;
+    },
+    stats: () => ({
+      size: entries.size,
+      maxSize,
+      hits,
+      misses,
+      hitRate: hits + misses === 0 ? 0 : hits / (hits + misses),
+      flushes,
+    }),
+  };
+};
+
+// Don't keep Node/Deno processes alive just for the refresh timer. (Retry sleeps are left alone: a
+// script awaiting `refresh()` would otherwise exit in the middle of a backoff.)
+const unrefTimer = (timer) => {
+  if (typeof timer === "object" && typeof timer.unref === "function") timer.unref();
+  else if (typeof Deno !== "undefined") Deno.unrefTimer(timer);
+  return timer;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Only trailing whitespace is trimmed, so line numbers in diagnostics match the text.
+const splitLines = (text) => text.trimEnd().split("\n");
+
+const readTextFile = async (path) => {
+  const { readFile } = await import("node:fs/promises");
+  return readFile(path, "utf8");
+};
+
+const REBUILD_MODES = ["sync", "yield", "worker"];
+const REBUILD_CHUNK_LINES = 8192;
+
+// Rebuilding is split in two. Each list is parsed and merged on its own (its `base`: packed merged
+// ranges, without tags), then each family's index is built from every list's base, tagged with the
+// list's category, plus the overlay. Lists that didn't change keep their base, so only changed ones
+// are parsed again. Both steps are generators that pause between chunks, so the "yield" rebuild mode
+// can give the event loop a turn; the other modes just run them to the end.
+//
+// Parsing also reports on the list (its `diagnostics`): line counts, and samples of the rejected
+// lines, CIDRs with host bits set, and entries that are duplicates of or contained in another one.
+// Counts are exact; only the first DIAGNOSTIC_SAMPLE_LIMIT of each kind are kept as samples. Line
+// numbers are 1-based. `coveredAddresses` (and `largestEntry.addresses`, the biggest single entry) are
+// numbers for IPv4 and BigInts for IPv6.
+const DIAGNOSTIC_SAMPLE_LIMIT = 100;
+
+const addSample = (samples, sample) => {
+  if (samples.length < DIAGNOSTIC_SAMPLE_LIMIT) samples.push(sample);
+};
+
+// Why a line didn't parse: "wrong-family", "bad-address", "bad-prefix" or "reversed-range".
+const rejectReason = (v4, entry) => {
+  const toRange = v4 ? ipv4LineToRange : ipv6LineToRange;
+  const dash = entry.indexOf("-");
+  const ends = dash === -1 ? [entry.split("/")[0]] : [entry.slice(0, dash).trim(), entry.slice(dash + 1).trim()];
+  const families = ends.map((end) => {
+    const { family, reason } = parseIpStrict(end);
+    return reason ? null : family;
+  });
+  if (families.every((family) => family === (v4 ? 6 : 4))) return "wrong-family";
+  if (!families.every((family) => family === (v4 ? 4 : 6))) return "bad-address";
+  if (dash !== -1) return "reversed-range";
+  return toRange(entry) ? null : "bad-prefix";
 };
+
+// The CIDR with its host bits cleared, or null if `entry` isn't a CIDR or has none set.
+const canonicalCidr = (v4, entry, range) => {
+  const slash = entry.indexOf("/");
+  if (slash === -1 || entry.includes("-")) return null;
+  const prefix = entry.slice(slash + 1);
+  if (v4) return parseIpv4Strict(entry.slice(0, slash)).value === range.start ? null : `${ipv4IntToString(range.start)}/${prefix}`;
+  const parts = parseIpv6Strict(entry.slice(0, slash)).value;
+  const { start } = range;
+  if (parts[0] === start[0] && parts[1] === start[1] && parts[2] === start[2] && parts[3] === start[3]) return null;
+  return `${ipv6PartsToString(start[0], start[1], start[2], start[3])}/${prefix}`;
+};
+
+const parseListSteps = function* (family, lines) {
+  const v4 = family === "ipv4";
+  const lineToRange = v4 ? ipv4LineToRange : ipv6LineToRange;
+  const diagnostics = {
+    family: v4 ? 4 : 6,
+    totalLines: lines.length,
+    acceptedLines: 0,
+    rejectedLines: 0,
+    skippedLines: 0,
+    nonCanonicalCidrs: 0,
+    duplicateEntries: 0,
+    shadowedEntries: 0,
+    mergedRanges: 0,
+    coveredAddresses: v4 ? 0 : 0n,
+    largestEntry: null,
+    rejected: [],
+    nonCanonical: [],
+    duplicates: [],
+    shadowed: [],
+  };
+  const ranges = [];
+  for (let i = 0; i < lines.length; i += REBUILD_CHUNK_LINES) {
+    const chunkEnd = Math.min(lines.length, i + REBUILD_CHUNK_LINES);
+    for (let n = i; n < chunkEnd; n++) {
+      const range = lineToRange(lines[n]);
+      if (range) {
+        range.line = n + 1;
+        ranges.push(range);
+        if (lines[n].includes("/")) {
+          const canonical = canonicalCidr(v4, listEntry(lines[n]), range);
+          if (canonical) {
+            diagnostics.nonCanonicalCidrs++;
+            addSample(diagnostics.nonCanonical, { line: n + 1, text: lines[n].trim(), canonical });
+          }
+        }
+        continue;
+      }
+      const entry = listEntry(lines[n]);
+      if (entry === "") {
+        diagnostics.skippedLines++;
+        continue;
+      }
+      diagnostics.rejectedLines++;
+      addSample(diagnostics.rejected, { line: n + 1, text: lines[n].trim(), reason: rejectReason(v4, entry) });
+    }
+    yield;
+  }
+  diagnostics.acceptedLines = ranges.length;
+
+  // Sorted by start, widest first, duplicates are adjacent (the earliest line first, as the sort is
+  // stable), and any other entry is shadowed if the furthest-reaching one before it contains it.
+  const { compare } = v4 ? IPV4_POSITION_OPS : IPV6_POSITION_OPS;
+  ranges.sort(v4
+    ? (a, b) => (a.start - b.start) || (b.end - a.end)
+    : (a, b) => compareParts(a.start, b.start) || compareParts(b.end, a.end));
+  let first = null;
+  let widest = null;
+  let largest = null;
+  for (let i = 0; i < ranges.length; i++) {
+    const range = ranges[i];
+    // (For IPv6, a float approximation picks the largest; only that one's exact size is worked out.)
+    const { start, end } = range;
+    const size = v4
+      ? end - start + 1
+      : (end[0] - start[0]) * 2 ** 96 + (end[1] - start[1]) * 2 ** 64 + (end[2] - start[2]) * 2 ** 32 + (end[3] - start[3]) + 1;
+    if (!largest || size > largest.size) largest = { range, size };
+    if (first && compare(range.start, first.start) === 0 && compare(range.end, first.end) === 0) {
+      diagnostics.duplicateEntries++;
+      addSample(diagnostics.duplicates, { line: range.line, text: listEntry(lines[range.line - 1]), duplicateOf: first.line });
+      continue;
+    }
+    first = range;
+    if (widest && compare(range.end, widest.end) <= 0) {
+      diagnostics.shadowedEntries++;
+      addSample(diagnostics.shadowed, { line: range.line, text: listEntry(lines[range.line - 1]), shadowedBy: widest.line });
+    } else {
+      widest = range;
+    }
+  }
+  if (largest) {
+    const { range: { start, end, line } } = largest;
+    diagnostics.largestEntry = {
+      line,
+      text: listEntry(lines[line - 1]),
+      addresses: v4 ? end - start + 1 : partsToBigInt(end[0], end[1], end[2], end[3]) - partsToBigInt(start[0], start[1], start[2], start[3]) + 1n,
+    };
+  }
+  yield;
+
+  const rangeCount = ranges.length;
+  const merged = v4 ? mergeRanges32(ranges) : mergeRanges128(ranges);
+  diagnostics.mergedRanges = merged.length;
+  for (let i = 0; i < merged.length; i++) {
+    const { start, end } = merged[i];
+    diagnostics.coveredAddresses += v4
+      ? end - start + 1
+      : partsToBigInt(end[0], end[1], end[2], end[3]) - partsToBigInt(start[0], start[1], start[2], start[3]) + 1n;
+  }
+  yield;
+  return { rangeCount, base: v4 ? packRanges32(merged) : packRanges128(merged), diagnostics };
+};
+
+// `inputs` are `{ ranges, tag }` (a list's base) or `{ ranges, tags }` (per-range tags, from a
+// snapshot's index).
+const buildFamilyIndexSteps = function* (family, inputs, familyOverlay) {
+  const v4 = family === "ipv4";
+  const ranges = [];
+  for (const input of inputs) {
+    const unpacked = v4 ? unpackRanges32(input.ranges) : unpackRanges128(input.ranges);
+    for (let i = 0; i < unpacked.length; i++) {
+      unpacked[i].tag = input.tags ? input.tags[i] : input.tag;
+      ranges.push(unpacked[i]);
+    }
+    yield;
+  }
+  const overlaid = v4 ? applyOverlay32(ranges, familyOverlay) : applyOverlay128(ranges, familyOverlay);
+  yield;
+  return v4 ? buildIpv4IndexFromRanges(overlaid) : buildIpv6IndexFromRanges(overlaid);
+};
+
+const runSteps = (steps) => {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+const runStepsYielding = async (steps) => {
+  for (let step = steps.next(); ; step = steps.next()) {
+    if (step.done) return step.value;
+    await sleep(0);
+  }
+};
+
+// Used by rebuild-worker.js; not part of the documented API.
+export const runRebuildTask = ({ task, family, text, inputs, overlay }) => runSteps(task === "parse"
+  ? parseListSteps(family, splitLines(text))
+  : buildFamilyIndexSteps(family, inputs, overlay));
+
+// Runs `runRebuildTask` in a throwaway worker thread, whose typed arrays are transferred back rather
+// than copied. Resolves to null where there are no worker threads, so the caller can fall back.
+const runRebuildTaskInWorker = async (message) => {
+  let Worker;
+  try {
+    ({ Worker } = await import("node:worker_threads"));
+  } catch {
+    return null;
+  }
+  const worker = new Worker(new URL("./rebuild-worker.js", import.meta.url));
+  return new Promise((resolve, reject) => {
+    worker.once("message", resolve);
+    worker.once("error", reject);
+    worker.once("exit", (code) => reject(new Error(`is-vpn: rebuild worker exited with code ${code}`)));
+    worker.postMessage(message);
+  }).finally(() => worker.terminate());
+};
+
+// A published checksum file is `sha256sum` output ("<hash>  <file>" lines) or a bare hash. The hash
+// for the file named at the end of `url` is used, or the only hash in the file. Null if neither.
+const checksumFor = (text, url) => {
+  const file = url.slice(url.lastIndexOf("/") + 1);
+  const hashes = [];
+  for (const line of splitLines(text)) {
+    const [hash, name] = line.trim().split(/\s+/);
+    if (!/^[0-9a-fA-F]{64}$/.test(hash)) continue;
+    if (name?.replace(/^\*/, "") === file) return hash.toLowerCase();
+    hashes.push(hash.toLowerCase());
+  }
+  return hashes.length === 1 ? hashes[0] : null;
+};
+
+const sha256Hex = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
+
+// ipsum-style lists are "ip<whitespace>score" lines (plus # comments); the addresses scoring at
+// least `minScore` become single-address CIDRs, so the rest of the pipeline sees an ordinary list.
+// Other lines become blank ones, so line numbers still match the original.
+const ipsumToCidrs = (text, minScore) => {
+  const cidrs = [];
+  for (const line of splitLines(text)) {
+    const [ip, score] = line.trim().split(/\s+/);
+    const listed = ip && !ip.startsWith("#") && Number(score) >= minScore;
+    cidrs.push(listed ? `${ip}/${ip.includes(":") ? 128 : 32}` : "");
+  }
+  return cidrs.join("\n");
+};
+
+// The on-disk cache holds the last good copy of each list (`ipv4.txt`) plus its HTTP validators and
+// timestamps (`ipv4.json`). Files are written to a temp name and renamed, so a crash mid-write never
+// leaves a half-written list behind.
+const readListCache = async (cacheDir, name) => {
+  try {
+    const [text, meta] = await Promise.all([
+      readTextFile(`${cacheDir}/${name}.txt`),
+      readTextFile(`${cacheDir}/${name}.json`).then(JSON.parse),
+    ]);
+    return { text, meta };
+  } catch {
+    return null;
+  }
+};
+
+const writeListCache = async (cacheDir, name, text, meta) => {
+  const { mkdir, writeFile, rename } = await import("node:fs/promises");
+  await mkdir(cacheDir, { recursive: true });
+  const files = [[`${name}.json`, JSON.stringify(meta)]];
+  if (text !== null) files.unshift([`${name}.txt`, text]);
+  for (const [file, contents] of files) {
+    const path = `${cacheDir}/${file}`;
+    await writeFile(`${path}.tmp`, contents);
+    await rename(`${path}.tmp`, path);
+  }
+};
+
+// Accepts a WHATWG ReadableStream or anything async-iterable (e.g. a Node Readable).
+const readStreamText = async (stream) => {
+  const decoder = new TextDecoder();
+  let text = "";
+  const append = (chunk) => {
+    text += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+  };
+  if (typeof stream.getReader === "function") {
+    const reader = stream.getReader();
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      append(value);
+    }
+  } else {
+    for await (const chunk of stream) append(chunk);
+  }
+  return text + decoder.decode();
+};
+
+export const createIsVpn = ({
+  ipv4Url = IPV4_LIST_URL,
+  ipv6Url = IPV6_LIST_URL,
+  ipv4File = null,
+  ipv6File = null,
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  refreshIntervalMs = DEFAULT_REFRESH_INTERVAL_MS,
+  timeoutMs = DEFAULT_FETCH_TIMEOUT_MS,
+  cacheDir = null,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+  maxRetryDelayMs = DEFAULT_MAX_RETRY_DELAY_MS,
+  maxInvalidLineRatio = DEFAULT_MAX_INVALID_LINE_RATIO,
+  ipv4ChecksumUrl = null,
+  ipv6ChecksumUrl = null,
+  minLines = 0,
+  maxShrinkPercent = DEFAULT_MAX_SHRINK_PERCENT,
+  maxGrowthPercent = null,
+  minPrefixLength = DEFAULT_MIN_PREFIX_LENGTH,
+  onError = defaultOnError,
+  onUpdate = null,
+  allow = [],
+  deny = [],
+  resolveEmbeddedIpv4 = true,
+  rebuild = "sync",
+  lists = null,
+  resultCacheSize = 0,
+  autoStart = true,
+} = {}) => {
+  if (!REBUILD_MODES.includes(rebuild)) throw new Error(`is-vpn: unknown rebuild mode "${rebuild}"`);
+  // Without `lists`, there's one list - the combined one from this repo (or the given URLs/files) -
+  // and everything in it counts as "vpn". Each distinct category gets one bit of the tag byte.
+  const listConfigs = lists ?? [{ name: null, category: "vpn", ipv4Url, ipv6Url, ipv4File, ipv6File, ipv4ChecksumUrl, ipv6ChecksumUrl }];
+  let categories = [...new Set(listConfigs.map(({ category = "vpn" }) => category))];
+  if (categories.length > 7) throw new Error("is-vpn: at most 7 list categories are supported");
+  const defaultListName = listConfigs[0]?.name ?? null;
+  let ipv4Index = buildIpv4IndexFromCidrs([]);
+  let ipv6Index = buildIpv6IndexFromCidrs([]);
+  let overlay = parseOverlay({ allow, deny });
+  // A loaded snapshot's indexes, which stand in for lists that haven't been loaded since.
+  let snapshotIndexes = { ipv4: null, ipv6: null };
+  let ipv4Sources = null;
+  let ipv6Sources = null;
+  let timer = null;
+  let loaded = false;
+  // Set by `shareIndex()`: { name, channel, control, snapshot, generation }.
+  let sharing = null;
+  // For `getStats()`: when an index was last swapped in, and the last failed refresh.
+  let lastUpdateAt = null;
+  let lastError = null;
+  // `isVpn` results by address, cleared whenever an index is swapped in (see `isVpnCached`).
+  const resultCache = resultCacheSize > 0 ? createLruCache(resultCacheSize) : null;
+
+  // `ready` rejects when a scheduled load fails before anything is loaded, and is then replaced by a
+  // fresh promise, so callers asking again wait for the next attempt rather than the failed one.
+  let ready;
+  let resolveReady;
+  let rejectReady;
+  const resetReady = () => {
+    ready = new Promise((resolve, reject) => {
+      resolveReady = resolve;
+      rejectReady = reject;
+    });
+    // Callers that never await `ready` shouldn't get an unhandled rejection.
+    ready.catch(() => {});
+  };
+  resetReady();
+
+  const install = (nextIpv4Index, nextIpv6Index, markLoaded = true) => {
+    if (!nextIpv4Index && !nextIpv6Index) return;
+    ipv4Index = nextIpv4Index ?? ipv4Index;
+    ipv6Index = nextIpv6Index ?? ipv6Index;
+    lastUpdateAt = Date.now();
+    resultCache?.clear();
+    if (markLoaded && !loaded) {
+      loaded = true;
+      resolveReady();
+    }
+  };
+
+  const publishSharedIndex = () => {
+    sharing.snapshot = serializeIndexes(ipv4Index, ipv6Index, { shared: true, categories });
+    sharing.generation = Atomics.add(sharing.control, 0, 1) + 1;
+    sharing.channel.postMessage({ type: "index", generation: sharing.generation, snapshot: sharing.snapshot });
+  };
+
+  // `rangeCount` (input ranges before merging) is null when the index didn't come from a list.
+  // `diagnostics` are the parse reports of the lists that were just (re)parsed, by list key.
+  const swapIn = (nextIpv4Index, nextIpv6Index, { startedAt, ipv4RangeCount = null, ipv6RangeCount = null, diagnostics = {}, markLoaded = true }) => {
+    const previousIpv4Index = ipv4Index;
+    const previousIpv6Index = ipv6Index;
+    install(nextIpv4Index, nextIpv6Index, markLoaded);
+    if (sharing && loaded && (nextIpv4Index || nextIpv6Index)) publishSharedIndex();
+    if (!onUpdate) return;
+    const durationMs = performance.now() - startedAt;
+    const familyDiagnostics = (family) =>
+      Object.fromEntries(Object.entries(diagnostics).filter(([, report]) => report.family === family));
+    if (nextIpv4Index) {
+      onUpdate({
+        family: 4,
+        rangeCount: ipv4RangeCount,
+        mergedCount: nextIpv4Index.ranges.length / 2,
+        ...diffRanges32(previousIpv4Index.ranges, nextIpv4Index.ranges),
+        diagnostics: familyDiagnostics(4),
+        durationMs,
+      });
+    }
+    if (nextIpv6Index) {
+      onUpdate({
+        family: 6,
+        rangeCount: ipv6RangeCount,
+        mergedCount: nextIpv6Index.ranges.length / 8,
+        ...diffRanges128(previousIpv6Index.ranges, nextIpv6Index.ranges),
+        diagnostics: familyDiagnostics(6),
+        durationMs,
+      });
+    }
+  };
+
+  const listsOf = (family) => Object.values(sources).filter((list) => list.family === family);
+
+  // Whether every list of the family that has somewhere to load from has been loaded (with `updates`
+  // applied); until then, a loaded snapshot's ranges are kept in the mix.
+  const familyComplete = (family, updates) =>
+    listsOf(family).every((list) => (updates[list.key] ?? list).base || (!list.url && !list.file));
+
+  // What a family's index is built from: each list's base, tagged with its category. `updates` are
+  // freshly prepared lists about to replace the current ones.
+  const familyInputs = (family, updates) => {
+    const inputs = [];
+    for (const list of listsOf(family)) {
+      const base = (updates[list.key] ?? list).base;
+      if (base) inputs.push({ ranges: base, tag: list.tag });
+    }
+    const snapshotIndex = snapshotIndexes[family];
+    if (snapshotIndex && !familyComplete(family, updates)) {
+      const segments = family === "ipv4" ? ipv4IndexSegments(snapshotIndex) : ipv6IndexSegments(snapshotIndex);
+      inputs.push({
+        ranges: family === "ipv4" ? packRanges32(segments) : packRanges128(segments),
+        tags: Uint8Array.from(segments, (segment) => segment.tag),
+      });
+    }
+    return inputs;
+  };
+
+  // Input ranges behind a family's index, before merging (null while a snapshot stands in for a list).
+  const inputCount = (family, updates = {}) => {
+    if (snapshotIndexes[family] && !familyComplete(family, updates)) return null;
+    return listsOf(family).reduce((sum, list) => sum + (updates[list.key] ?? list).rangeCount, 0);
+  };
+
+  const familyLines = (family) => listsOf(family).flatMap((list) => list.lines);
+
+  // Runs a rebuild step where `rebuild` says: in a worker (`message` is what it's sent), or here,
+  // all at once or in chunks (`steps` makes the generator).
+  const runRebuildStep = async (message, steps) => {
+    if (rebuild === "worker") {
+      const result = await runRebuildTaskInWorker(message);
+      if (result) return result;
+    }
+    return rebuild === "sync" ? runSteps(steps()) : runStepsYielding(steps());
+  };
+
+  const updatedFamilies = (updates) => ["ipv4", "ipv6"].filter((family) =>
+    Object.keys(updates).some((key) => sources[key].family === family));
+
+  // Both indexes are built before either is swapped in; queries keep using the current ones meanwhile.
+  // `updates` maps list keys to `prepareList` results, and families without any keep their index.
+  // `startedAt` is when the load began (before any fetching), for `onUpdate`'s durationMs.
+  const loadLists = async (updates, startedAt = performance.now()) => {
+    const used = overlay;
+    const built = {};
+    for (const family of updatedFamilies(updates)) {
+      const inputs = familyInputs(family, updates);
+      built[family] = await runRebuildStep(
+        { task: "build", family, inputs, overlay: used[family] },
+        () => buildFamilyIndexSteps(family, inputs, used[family]),
+      );
+    }
+    installLists(updates, built, used, startedAt);
+  };
+
+  const loadListsSync = (updates, startedAt) => {
+    const built = {};
+    for (const family of updatedFamilies(updates)) {
+      built[family] = runSteps(buildFamilyIndexSteps(family, familyInputs(family, updates), overlay[family]));
+    }
+    installLists(updates, built, overlay, startedAt);
+  };
+
+  // An index built before the current overlay was set gets rebuilt with it.
+  const installLists = (updates, built, used, startedAt) => {
+    for (const family of Object.keys(built)) {
+      if (used !== overlay) built[family] = runSteps(buildFamilyIndexSteps(family, familyInputs(family, updates), overlay[family]));
+    }
+    swapIn(built.ipv4 ?? null, built.ipv6 ?? null, {
+      startedAt,
+      ipv4RangeCount: built.ipv4 ? inputCount("ipv4", updates) : null,
+      ipv6RangeCount: built.ipv6 ? inputCount("ipv6", updates) : null,
+      diagnostics: Object.fromEntries(Object.entries(updates).map(([key, { diagnostics }]) => [key, diagnostics])),
+    });
+    for (const [key, { lines, rangeCount, base, diagnostics, state }] of Object.entries(updates)) {
+      Object.assign(sources[key], { lines, rangeCount, base, diagnostics }, state);
+    }
+    for (const family of Object.keys(built)) {
+      if (familyComplete(family, {})) snapshotIndexes[family] = null;
+    }
+    if (built.ipv4) ipv4Sources = null;
+    if (built.ipv6) ipv6Sources = null;
+  };
+
+  // Parses and merges one list, without installing it: `{ lines, rangeCount, base, diagnostics }`. `rebuild`
+  // decides where that happens.
+  const prepareList = async (name, text) => {
+    const { family, format, minScore } = sources[name];
+    const cidrText = format === "ipsum" ? ipsumToCidrs(text, minScore) : text;
+    const lines = splitLines(cidrText);
+    const parsed = await runRebuildStep({ task: "parse", family, text: cidrText }, () => parseListSteps(family, lines));
+    return { lines, ...parsed };
+  };
+
+  // For `loadFromText`, which always builds synchronously.
+  const prepareListSync = (name, text) => {
+    const { family, format, minScore } = sources[name];
+    const lines = splitLines(format === "ipsum" ? ipsumToCidrs(text, minScore) : text);
+    return { lines, ...runSteps(parseListSteps(family, lines)) };
+  };
+
+  // Guards against replacing a good index with an error page or a mangled download.
+  // The guards then compare it with what's loaded now: too few entries, too big a change in the entry
+  // count, or a single entry bigger than a /`minPrefixLength` (a stray 0.0.0.0/0) rejects it.
+  const validateList = (name, { diagnostics }) => {
+    const { acceptedLines, rejectedLines, largestEntry } = diagnostics;
+    const reject = (message, reason) => {
+      throw new ListUpdateError(`${name} list ${message}`, { list: name, reason, diagnostics });
+    };
+    if (acceptedLines === 0) reject("contains no valid ranges", "invalid");
+    const nonEmpty = acceptedLines + rejectedLines;
+    if (rejectedLines > nonEmpty * maxInvalidLineRatio) reject(`has ${rejectedLines} invalid lines out of ${nonEmpty}`, "invalid");
+    const list = sources[name];
+    const guards = list.guards;
+    if (acceptedLines < guards.minLines) reject(`has ${acceptedLines} entries, fewer than the minimum of ${guards.minLines}`, "too-few-lines");
+    if (list.rangeCount > 0) {
+      const change = (acceptedLines - list.rangeCount) / list.rangeCount * 100;
+      if (guards.maxShrinkPercent !== null && -change > guards.maxShrinkPercent) {
+        reject(`shrank by ${(-change).toFixed(1)}% (${list.rangeCount} to ${acceptedLines} entries)`, "shrunk");
+      }
+      if (guards.maxGrowthPercent !== null && change > guards.maxGrowthPercent) {
+        reject(`grew by ${change.toFixed(1)}% (${list.rangeCount} to ${acceptedLines} entries)`, "grew");
+      }
+    }
+    if (guards.minPrefixLength !== null) {
+      const bits = list.family === "ipv4" ? 32 : 128;
+      const limit = list.family === "ipv4" ? 2 ** (bits - guards.minPrefixLength) : 1n << BigInt(bits - guards.minPrefixLength);
+      if (largestEntry.addresses > limit) {
+        reject(`has an entry larger than a /${guards.minPrefixLength} ("${largestEntry.text}" on line ${largestEntry.line})`, "range-too-large");
+      }
+    }
+  };
+
+  const verifyChecksum = async (name, list, body) => {
+    let response;
+    try {
+      response = await fetchImpl(list.checksumUrl, { signal: AbortSignal.timeout(timeoutMs) });
+    } catch (cause) {
+      throw new ListUpdateError(`fetching the ${name} checksum failed: ${cause.message}`, { list: name, reason: "network", cause });
+    }
+    if (!response.ok) {
+      throw new ListUpdateError(`fetching the ${name} checksum failed with HTTP ${response.status}`, { list: name, reason: "http-status", status: response.status });
+    }
+    const expected = checksumFor(await response.text(), list.url);
+    if (expected === null) throw new ListUpdateError(`the checksum file has no hash for the ${name} list`, { list: name, reason: "checksum" });
+    const actual = await sha256Hex(body);
+    if (actual !== expected) {
+      throw new ListUpdateError(`the ${name} list doesn't match its published SHA-256 (${actual}, expected ${expected})`, { list: name, reason: "checksum" });
+    }
+  };
+
+  // One attempt at fetching a list. Resolves to null on a 304, otherwise to the validated list.
+  const fetchListOnce = async (name, list) => {
+    const headers = {};
+    if (list.indexed || list.cached) {
+      if (list.etag) headers["If-None-Match"] = list.etag;
+      if (list.lastModified) headers["If-Modified-Since"] = list.lastModified;
+    }
+    let response;
+    try {
+      response = await fetchImpl(list.url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+    } catch (cause) {
+      throw new ListUpdateError(`fetching the ${name} list failed: ${cause.message}`, { list: name, reason: "network", cause });
+    }
+    if (response.status === 304) return null;
+    if (!response.ok) {
+      throw new ListUpdateError(`fetching the ${name} list failed with HTTP ${response.status}`, { list: name, reason: "http-status", status: response.status });
+    }
+    let body;
+    try {
+      body = await response.arrayBuffer();
+    } catch (cause) {
+      throw new ListUpdateError(`reading the ${name} list failed: ${cause.message}`, { list: name, reason: "network", cause });
+    }
+    // Content-Length describes the encoded body, so it can only be compared when there's no encoding.
+    const contentLength = response.headers.get("content-length");
+    if (contentLength !== null && !response.headers.get("content-encoding") && Number(contentLength) !== body.byteLength) {
+      throw new ListUpdateError(`the ${name} list was truncated (${body.byteLength} of ${contentLength} bytes)`, { list: name, reason: "truncated" });
+    }
+    if (list.checksumUrl) await verifyChecksum(name, list, body);
+    const text = new TextDecoder().decode(body);
+    const prepared = await prepareList(name, text);
+    validateList(name, prepared);
+    return {
+      text,
+      list: prepared,
+      etag: response.headers.get("etag"),
+      lastModified: response.headers.get("last-modified"),
+    };
+  };
+
+  // A guard's verdict on a download that arrived intact won't change on a retry.
+  const isRetryable = (err) => {
+    if (GUARD_REASONS.includes(err.reason)) return false;
+    if (err.reason !== "http-status") return true;
+    return err.status >= 500 || err.status === 408 || err.status === 429;
+  };
+
+  // Exponential backoff with "equal jitter": somewhere between half and all of the capped delay.
+  const retryDelay = (attempt) => {
+    const delay = Math.min(maxRetryDelayMs, retryDelayMs * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+  };
+
+  const fetchList = async (name, list) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fetchListOnce(name, list);
+      } catch (err) {
+        if (attempt >= retries || !isRetryable(err)) throw err;
+        await sleep(retryDelay(attempt));
+      }
+    }
+  };
+
+  // Per-list, per-family state, keyed "ipv4"/"ipv6" for the default list and "<name>.ipv4" etc. for
+  // named ones. `indexed` means the etag/lastModified validators describe the installed index, and
+  // `cached` that they describe the copy in `cacheDir`; either makes a 304 usable. `updatedAt` is when
+  // the current data was downloaded, `checkedAt` when upstream last confirmed it. `lines`,
+  // `rangeCount`, `base` and `diagnostics` are the list's current data (the last two are null until
+  // it's loaded).
+  const listKey = (name, family) => (name === null ? family : `${name}.${family}`);
+
+  const newListState = (family, { name = null, category = "vpn", format = "cidr", minScore = DEFAULT_IPSUM_MIN_SCORE, ...config }) => {
+    if (!LIST_FORMATS.includes(format)) throw new Error(`is-vpn: unknown list format "${format}"`);
+    return {
+      key: listKey(name, family),
+      family,
+      tag: 1 << categories.indexOf(category),
+      format,
+      minScore,
+      url: config[`${family}Url`] ?? null,
+      file: config[`${family}File`] ?? null,
+      checksumUrl: config[`${family}ChecksumUrl`] ?? null,
+      // Each of these can be set per list, overriding the instance's option; null turns it off.
+      guards: {
+        minLines: config.minLines ?? minLines,
+        maxShrinkPercent: config.maxShrinkPercent === undefined ? maxShrinkPercent : config.maxShrinkPercent,
+        maxGrowthPercent: config.maxGrowthPercent === undefined ? maxGrowthPercent : config.maxGrowthPercent,
+        minPrefixLength: (config.minPrefixLength === undefined ? minPrefixLength : config.minPrefixLength)?.[family] ?? null,
+      },
+      lines: [],
+      rangeCount: 0,
+      base: null,
+      diagnostics: null,
+      etag: null,
+      lastModified: null,
+      updatedAt: null,
+      checkedAt: null,
+      stale: false,
+      indexed: false,
+      cached: false,
+      cacheRead: false,
+    };
+  };
+  const sources = {};
+  for (const config of listConfigs) {
+    for (const family of ["ipv4", "ipv6"]) {
+      const list = newListState(family, config);
+      if (sources[list.key]) throw new Error(`is-vpn: duplicate list name "${config.name}"`);
+      sources[list.key] = list;
+    }
+  }
+
+  const listMeta = (list) => ({
+    etag: list.etag,
+    lastModified: list.lastModified,
+    updatedAt: list.updatedAt,
+    checkedAt: list.checkedAt,
+  });
+
+  // A cached copy to install instead of the source's data. Parsing can fail (e.g. a rebuild worker
+  // exiting), which is reported like the source's own errors.
+  const loadCachedList = async (name, text, error = null) => {
+    try {
+      return { list: { ...(await prepareList(name, text)), state: { indexed: true } }, error };
+    } catch (err) {
+      return { list: null, error: error ?? err };
+    }
+  };
+
+  // Resolves to `{ list, error, cacheText }` and never rejects. `list` is null when the installed
+  // index is already current or nothing usable could be loaded; `error` is set whenever the source
+  // failed, even if the cached copy was served instead. Nothing here touches the installed index:
+  // `list.state` (the new validators, `indexed` etc.) is only recorded by `installLists`, and
+  // `cacheText` only written to `cacheDir`, once the index built from it has been swapped in.
+  // Otherwise a failed build would leave validators that make the next refresh a 304 for data that
+  // was never installed.
+  const loadList = async (name) => {
+    const list = sources[name];
+    if (!list.url && !list.file) return { list: null, error: null };
+    const now = Date.now();
+    if (cacheDir && !list.file && !list.cacheRead) {
+      list.cacheRead = true;
+      const cached = await readListCache(cacheDir, name);
+      if (cached && !list.indexed) {
+        Object.assign(list, cached.meta);
+        list.cached = true;
+      }
+    }
+    let fetched;
+    try {
+      if (list.file) {
+        fetched = { list: await prepareList(name, await readTextFile(list.file)) };
+        validateList(name, fetched.list);
+      } else {
+        fetched = await fetchList(name, list);
+      }
+    } catch (error) {
+      list.stale = true;
+      if (!list.indexed && list.cached) {
+        const cached = await readListCache(cacheDir, name);
+        if (cached) return loadCachedList(name, cached.text, error);
+      }
+      return { list: null, error };
+    }
+    list.checkedAt = now;
+    list.stale = false;
+    if (fetched === null) {
+      const cached = list.indexed ? null : await readListCache(cacheDir, name);
+      if (!list.indexed && !cached) {
+        // The cached copy vanished since we read its validators; fetch the whole list instead.
+        list.cached = false;
+        return loadList(name);
+      }
+      // Only `checkedAt` changed, and the cached copy is the same data either way.
+      let error = null;
+      if (cacheDir) await writeListCache(cacheDir, name, null, listMeta(list)).catch((err) => { error = err; });
+      if (!cached) return { list: null, error };
+      const result = await loadCachedList(name, cached.text);
+      return { ...result, error: error ?? result.error };
+    }
+    const state = list.file
+      ? { updatedAt: now, indexed: true }
+      : { updatedAt: now, indexed: true, etag: fetched.etag, lastModified: fetched.lastModified };
+    return { list: { ...fetched.list, state }, error: null, cacheText: list.file ? null : fetched.text };
+  };
+
+  // Lists that fail to load keep their current index (or fall back to the cached copy), the others
+  // are still swapped in, and the first error is rethrown afterwards.
+  const refreshLists = async () => {
+    const startedAt = performance.now();
+    const keys = Object.keys(sources);
+    const results = await Promise.all(keys.map(loadList));
+    const updates = {};
+    keys.forEach((key, i) => {
+      if (results[i].list) updates[key] = results[i].list;
+    });
+    await loadLists(updates, startedAt);
+    const errors = results.map((result) => result.error);
+    if (cacheDir) {
+      await Promise.all(keys.map(async (key, i) => {
+        if (!updates[key] || !results[i].cacheText) return;
+        await writeListCache(cacheDir, key, results[i].cacheText, listMeta(sources[key])).then(() => {
+          sources[key].cached = true;
+        }, (err) => {
+          errors[i] = err;
+        });
+      }));
+    }
+    const error = errors.find((err) => err);
+    if (error) throw error;
+  };
+
+  const refresh = () => refreshLists().catch((err) => {
+    lastError = { message: err.message, list: err.list ?? null, reason: err.reason ?? null, at: Date.now() };
+    throw err;
+  });
+
+  // Scheduled refreshes have no caller to reject to, so their errors go to `onError`.
+  const scheduledRefresh = () => refresh().catch((err) => {
+    if (!loaded) {
+      rejectReady(err);
+      resetReady();
+    }
+    onError(err);
+  });
+
+  // Data loaded by hand has no upstream validators, so the next refresh fetches that list in full.
+  const markLoadedByHand = (name) => {
+    Object.assign(sources[name], { etag: null, lastModified: null, updatedAt: Date.now(), checkedAt: null, stale: false, indexed: false });
+  };
+
+  const freshness = () => {
+    const now = Date.now();
+    const describe = ({ updatedAt, checkedAt, stale }) => ({
+      updatedAt,
+      checkedAt,
+      stale,
+      ageMs: (checkedAt ?? updatedAt) === null ? null : now - (checkedAt ?? updatedAt),
+    });
+    return Object.fromEntries(Object.values(sources).map((list) => [list.key, describe(list)]));
+  };
+
+  // The parse report of each list's current data, by list key (null until it's loaded, and after a
+  // snapshot is loaded).
+  const diagnostics = () => Object.fromEntries(Object.values(sources).map((list) => [list.key, list.diagnostics]));
+
+  // The by-hand loaders fill in one list (by name; the first one by default).
+  const byHandKeys = (listName) => {
+    const keys = [listKey(listName, "ipv4"), listKey(listName, "ipv6")];
+    if (!sources[keys[0]]) throw new Error(`is-vpn: unknown list "${listName}"`);
+    return keys;
+  };
+
+  const loadTexts = async (ipv4Text, ipv6Text, listName, startedAt) => {
+    const keys = byHandKeys(listName);
+    const texts = [ipv4Text, ipv6Text];
+    const updates = {};
+    await Promise.all(keys.map(async (key, i) => {
+      if (texts[i] != null) updates[key] = await prepareList(key, texts[i]);
+    }));
+    await loadLists(updates, startedAt);
+    for (const key of Object.keys(updates)) markLoadedByHand(key);
+  };
+
+  const loadFromText = (ipv4Text, ipv6Text, listName = defaultListName) => {
+    const startedAt = performance.now();
+    const keys = byHandKeys(listName);
+    const texts = [ipv4Text, ipv6Text];
+    const updates = {};
+    keys.forEach((key, i) => {
+      if (texts[i] != null) updates[key] = prepareListSync(key, texts[i]);
+    });
+    loadListsSync(updates, startedAt);
+    for (const key of Object.keys(updates)) markLoadedByHand(key);
+  };
+
+  const loadFromFile = async (ipv4Path, ipv6Path, listName = defaultListName) => {
+    const startedAt = performance.now();
+    const [ipv4Text, ipv6Text] = await Promise.all([
+      ipv4Path == null ? null : readTextFile(ipv4Path),
+      ipv6Path == null ? null : readTextFile(ipv6Path),
+    ]);
+    await loadTexts(ipv4Text, ipv6Text, listName, startedAt);
+  };
+
+  const loadFromReadableStream = async (ipv4Stream, ipv6Stream, listName = defaultListName) => {
+    const startedAt = performance.now();
+    const [ipv4Text, ipv6Text] = await Promise.all([
+      ipv4Stream == null ? null : readStreamText(ipv4Stream),
+      ipv6Stream == null ? null : readStreamText(ipv6Stream),
+    ]);
+    await loadTexts(ipv4Text, ipv6Text, listName, startedAt);
+  };
+
+  const start = () => {
+    if (timer !== null) return ready;
+    timer = unrefTimer(setInterval(scheduledRefresh, refreshIntervalMs));
+    scheduledRefresh();
+    return ready;
+  };
+
+  const stop = () => {
+    if (timer === null) return;
+    clearInterval(timer);
+    timer = null;
+  };
+
+  // Per-family query and match counts, for `getStats()`, from `checkIp` and the `isVpn` variants.
+  // An IPv6 query that matches through an embedded IPv4 address counts as IPv6.
+  const queryCounts = { ipv4: { queries: 0, matches: 0 }, ipv6: { queries: 0, matches: 0 } };
+
+  const counted = (counts, match) => {
+    counts.queries++;
+    if (match) counts.matches++;
+    return match;
+  };
+
+  const isVpnV4 = (ip) => {
+    const ipInt = ipv4ToInt(ip);
+    if (ipInt === null) return counted(queryCounts.ipv4, false);
+    return counted(queryCounts.ipv4, containsIpv4(ipv4Index, ipInt));
+  };
+
+  // IPv6 membership, falling back to the IPv4 index for addresses with an IPv4 one embedded.
+  const containsIpv6 = (v4, v6, p0, p1, p2, p3) => {
+    if (containsIpv6Parts(v6, p0, p1, p2, p3)) return true;
+    if (!resolveEmbeddedIpv4) return false;
+    const ipv4 = embeddedIpv4(p0, p1, p2, p3);
+    return ipv4 !== -1 && containsIpv4(v4, ipv4);
+  };
+
+  const isVpnV6 = (ip) => {
+    const parts = ipv6ToParts(ip);
+    if (!parts) return counted(queryCounts.ipv6, false);
+    return counted(queryCounts.ipv6, containsIpv6(ipv4Index, ipv6Index, parts[0], parts[1], parts[2], parts[3]));
+  };
+
+  const isVpnUncached = (ip) => {
+    for (let i = 0; i < ip.length; i++) {
+      const code = ip.charCodeAt(i);
+      if (code === 58) return isVpnV6(ip);
+      if (code === 46) return isVpnV4(ip);
+      if (code === 47 || code === 37) break;
+    }
+    return false;
+  };
+
+  // Keyed by the parsed address (a number for IPv4, the four parts for IPv6), so e.g. "2001:db8::1"
+  // and "2001:0db8:0:0:0:0:0:1" share an entry. Unparseable input isn't cached.
+  const isVpnCached = (ip) => {
+    const family = ipFamily(ip);
+    let key;
+    let parts = null;
+    if (family === 4) {
+      key = ipv4ToInt(ip);
+      if (key === null) return counted(queryCounts.ipv4, false);
+    } else if (family === 6) {
+      parts = ipv6ToParts(ip);
+      if (!parts) return counted(queryCounts.ipv6, false);
+      key = `${parts[0]}:${parts[1]}:${parts[2]}:${parts[3]}`;
+    } else {
+      return false;
+    }
+    let result = resultCache.get(key);
+    if (result === undefined) {
+      result = parts
+        ? containsIpv6(ipv4Index, ipv6Index, parts[0], parts[1], parts[2], parts[3])
+        : containsIpv4(ipv4Index, key);
+      resultCache.set(key, result);
+    }
+    return counted(parts ? queryCounts.ipv6 : queryCounts.ipv4, result);
+  };
+
+  const isVpn = resultCache ? isVpnCached : isVpnUncached;
+
+  // `{ size, maxSize, hits, misses, hitRate, flushes }`, or null without `resultCacheSize`.
+  const resultCacheStats = () => resultCache?.stats() ?? null;
+
+  // A point-in-time view for monitoring; `statsToPrometheus` renders it for scraping. Times are
+  // epoch milliseconds, and `lastError` is the last failed refresh (null if none has failed).
+  const getStats = () => ({
+    loaded,
+    lastUpdateAt,
+    lastError,
+    lists: freshness(),
+    ipv4: { ...ipv4IndexStats(ipv4Index), ...queryCounts.ipv4 },
+    ipv6: { ...ipv6IndexStats(ipv6Index), ...queryCounts.ipv6 },
+    resultCache: resultCacheStats(),
+  });
+
+  const isVpnV4Int = (ipInt) => counted(queryCounts.ipv4, containsIpv4(ipv4Index, ipInt >>> 0));
+
+  const isVpnV6Parts = (p0, p1, p2, p3) => counted(queryCounts.ipv6, containsIpv6(ipv4Index, ipv6Index, p0, p1, p2, p3));
+
+  const isVpnBigInt = (ip) => {
+    if (ip < 0n || ip > MAX_IPV6_BIGINT) return counted(queryCounts.ipv6, false);
+    return counted(queryCounts.ipv6, containsIpv6(
+      ipv4Index,
+      ipv6Index,
+      Number(ip >> 96n),
+      Number((ip >> 64n) & 0xFFFFFFFFn),
+      Number((ip >> 32n) & 0xFFFFFFFFn),
+      Number(ip & 0xFFFFFFFFn),
+    ));
+  };
+
+  // A Uint32Array is taken as IPv4 addresses; anything else as an array of IP strings. Both indexes
+  // are read once up front, so a refresh mid-batch can't mix results from two list versions.
+  const isVpnMany = (input) => {
+    const v4 = ipv4Index;
+    const v6 = ipv6Index;
+    const results = new Uint8Array(input.length);
+    if (input instanceof Uint32Array) {
+      let matches = 0;
+      for (let i = 0; i < input.length; i++) {
+        if (containsIpv4(v4, input[i])) {
+          results[i] = 1;
+          matches++;
+        }
+      }
+      queryCounts.ipv4.queries += input.length;
+      queryCounts.ipv4.matches += matches;
+      return results;
+    }
+    for (let i = 0; i < input.length; i++) {
+      const ip = input[i];
+      const family = ipFamily(ip);
+      if (family === 4) {
+        const ipInt = ipv4ToInt(ip);
+        if (counted(queryCounts.ipv4, ipInt !== null && containsIpv4(v4, ipInt))) results[i] = 1;
+      } else if (family === 6) {
+        const parts = ipv6ToParts(ip);
+        if (counted(queryCounts.ipv6, parts !== null && containsIpv6(v4, v6, parts[0], parts[1], parts[2], parts[3]))) results[i] = 1;
+      }
+    }
+    return results;
+  };
+
+  // Unlike `isVpn`, tells "not a VPN" apart from "not an IP". `vpn` is null for invalid input.
+  const checkIp = (ip) => {
+    const { family, value, reason } = parseIpStrict(ip);
+    if (reason) {
+      // Like `isVpn`, an unparseable address of a recognizable family counts as a query.
+      if (family !== null) counted(family === 4 ? queryCounts.ipv4 : queryCounts.ipv6, false);
+      return { valid: false, family, normalized: null, vpn: null, reason };
+    }
+    if (family === 4) {
+      const vpn = counted(queryCounts.ipv4, containsIpv4(ipv4Index, value));
+      return { valid: true, family, normalized: ipv4IntToString(value), vpn, reason: null };
+    }
+    return {
+      valid: true,
+      family,
+      normalized: ipv6PartsToString(value[0], value[1], value[2], value[3]),
+      vpn: counted(queryCounts.ipv6, containsIpv6(ipv4Index, ipv6Index, value[0], value[1], value[2], value[3])),
+      reason: null,
+    };
+  };
+
+  // Which categories list an address: a boolean per category, `denied` for the overlay's deny
+  // ranges, and the raw tag bits as `mask` (0 for anything unlisted or unparseable).
+  const classify = (ip) => {
+    let mask = 0;
+    const family = ipFamily(ip);
+    if (family === 4) {
+      const ipInt = ipv4ToInt(ip);
+      if (ipInt !== null) mask = ipv4TagsAt(ipv4Index, ipInt);
+    } else if (family === 6) {
+      const parts = ipv6ToParts(ip);
+      if (parts) {
+        mask = ipv6TagsAt(ipv6Index, parts[0], parts[1], parts[2], parts[3]);
+        const ipv4 = !mask && resolveEmbeddedIpv4 ? embeddedIpv4(parts[0], parts[1], parts[2], parts[3]) : -1;
+        if (ipv4 !== -1) mask = ipv4TagsAt(ipv4Index, ipv4);
+      }
+    }
+    const result = {};
+    categories.forEach((category, bit) => {
+      result[category] = (mask & (1 << bit)) !== 0;
+    });
+    result.denied = (mask & DENY_TAG) !== 0;
+    result.mask = mask;
+    return result;
+  };
+
+  const ipv4SourceRanges = (ipInt) => {
+    if (!ipv4Sources) ipv4Sources = buildIpv4SourceIndex(familyLines("ipv4").concat(overlay.ipv4.denyCidrs));
+    return findIpv4SourceRanges(ipv4Sources, ipInt);
+  };
+
+  // `embeddedIpv4` is set when an IPv6 address only matched through the IPv4 address inside it, in
+  // which case `ranges` are IPv4 ranges.
+  const lookupVpn = (ip) => {
+    const family = ipFamily(ip);
+    if (family === 4) {
+      const ipInt = ipv4ToInt(ip);
+      if (ipInt !== null && containsIpv4(ipv4Index, ipInt)) {
+        return { match: true, ranges: ipv4SourceRanges(ipInt), family, embeddedIpv4: null };
+      }
+    } else if (family === 6) {
+      const parts = ipv6ToParts(ip);
+      if (parts) {
+        // `parts` is the parser's scratch array, which building the source index would overwrite.
+        const p0 = parts[0];
+        const p1 = parts[1];
+        const p2 = parts[2];
+        const p3 = parts[3];
+        if (containsIpv6Parts(ipv6Index, p0, p1, p2, p3)) {
+          if (!ipv6Sources) ipv6Sources = buildIpv6SourceIndex(familyLines("ipv6").concat(overlay.ipv6.denyCidrs));
+          return { match: true, ranges: findIpv6SourceRanges(ipv6Sources, p0, p1, p2, p3), family, embeddedIpv4: null };
+        }
+        const ipv4 = resolveEmbeddedIpv4 ? embeddedIpv4(p0, p1, p2, p3) : -1;
+        if (ipv4 !== -1 && containsIpv4(ipv4Index, ipv4)) {
+          return { match: true, ranges: ipv4SourceRanges(ipv4), family, embeddedIpv4: ipv4IntToString(ipv4) };
+        }
+      }
+    }
+    return { match: false, ranges: [], family: family || null, embeddedIpv4: null };
+  };
+
+  // How much of a CIDR (or single address) is listed: `coverage` is "full", "partial" or "none".
+  // Address counts are numbers for IPv4 and BigInts for IPv6. Returns null if it can't be parsed.
+  const classifyRange = (cidr) => {
+    if (typeof cidr !== "string") return null;
+    const [address, prefix, ...rest] = cidr.split("/");
+    const { family, reason } = parseIpStrict(address);
+    if (reason || rest.length) return null;
+    const withPrefix = `${address}/${prefix ?? (family === 4 ? 32 : 128)}`;
+    let coveredAddresses;
+    let totalAddresses;
+    if (family === 4) {
+      const range = ipv4CidrToRange(withPrefix);
+      if (!range) return null;
+      coveredAddresses = ipv4RangeCoverage(ipv4Index, range.start, range.end);
+      totalAddresses = range.end - range.start + 1;
+    } else {
+      const range = ipv6CidrToRange(withPrefix);
+      if (!range) return null;
+      coveredAddresses = ipv6RangeCoverage(ipv6Index, range.start, range.end);
+      totalAddresses = partsToBigInt(range.end[0], range.end[1], range.end[2], range.end[3]) -
+        partsToBigInt(range.start[0], range.start[1], range.start[2], range.start[3]) + 1n;
+    }
+    const coverage = coveredAddresses === totalAddresses ? "full" : coveredAddresses > 0 ? "partial" : "none";
+    return { coverage, fraction: Number(coveredAddresses) / Number(totalAddresses), coveredAddresses, totalAddresses, family };
+  };
+
+  // Writes the merged ranges (overlays included) as minimal CIDRs in one of EXPORT_FORMATS. The JSON
+  // format also carries stats on how far merging and CIDR conversion compressed the input.
+  const exportRanges = ({ format = "cidr", family = null, name = "is_vpn" } = {}) => {
+    const formatter = EXPORT_FORMATS[format];
+    if (!formatter) throw new Error(`is-vpn: unknown export format "${format}"`);
+    const ipv4 = family === 6 ? null : ipv4IndexToCidrs(ipv4Index);
+    const ipv6 = family === 4 ? null : ipv6IndexToCidrs(ipv6Index);
+    const stats = {};
+    if (ipv4) stats.ipv4 = { inputRanges: inputCount("ipv4"), mergedRanges: ipv4Index.ranges.length / 2, cidrs: ipv4.length };
+    if (ipv6) stats.ipv6 = { inputRanges: inputCount("ipv6"), mergedRanges: ipv6Index.ranges.length / 8, cidrs: ipv6.length };
+    return formatter({ ipv4, ipv6, stats }, name);
+  };
+
+  const serializeIndex = (options) => serializeIndexes(ipv4Index, ipv6Index, { ...options, categories });
+
+  // Publishes the current index, and every one swapped in after it, to threads that attach with
+  // the returned handle (which can be passed in `workerData` or a message).
+  const shareIndex = ({ channel: name = DEFAULT_SHARE_CHANNEL } = {}) => {
+    if (sharing) return { channel: sharing.name, control: sharing.control.buffer };
+    if (typeof BroadcastChannel === "undefined") throw new Error("is-vpn: sharing an index needs BroadcastChannel");
+    const channel = new BroadcastChannel(name);
+    channel.unref?.();
+    sharing = { name, channel, control: new Int32Array(new SharedArrayBuffer(4)), snapshot: null, generation: 0 };
+    channel.onmessage = ({ data }) => {
+      if (data?.type === "sync" && sharing.snapshot) channel.postMessage({ type: "index", generation: sharing.generation, snapshot: sharing.snapshot });
+    };
+    if (loaded) publishSharedIndex();
+    return { channel: name, control: sharing.control.buffer };
+  };
+
+  const unshareIndex = () => {
+    if (!sharing) return;
+    sharing.channel.close();
+    sharing = null;
+  };
+
+  // A snapshot carries no source lines, so `lookupVpn` can't name the matching ranges until the
+  // next text-based load. It stands in for every list until that list is loaded again, with the
+  // overlay applied on top; overlays are idempotent, so a snapshot taken with the same overlay in
+  // place comes back unchanged. An instance without `lists` takes on the snapshot's categories.
+  const loadIndexSnapshot = (snapshot) => {
+    const startedAt = performance.now();
+    const next = deserializeIndexes(snapshot);
+    if (next.categories.join("\n") !== categories.join("\n")) {
+      if (lists) {
+        throw new Error(`is-vpn: the snapshot's categories (${next.categories.join(", ")}) don't match the lists' (${categories.join(", ")})`);
+      }
+      categories = next.categories;
+    }
+    snapshotIndexes = { ipv4: next.ipv4Index, ipv6: next.ipv6Index };
+    for (const list of Object.values(sources)) Object.assign(list, { lines: [], rangeCount: 0, base: null, diagnostics: null });
+    if (overlayIsEmpty(overlay)) {
+      swapIn(next.ipv4Index, next.ipv6Index, { startedAt });
+    } else {
+      swapIn(runSteps(buildFamilyIndexSteps("ipv4", familyInputs("ipv4", {}), overlay.ipv4)),
+        runSteps(buildFamilyIndexSteps("ipv6", familyInputs("ipv6", {}), overlay.ipv6)), { startedAt });
+    }
+    ipv4Sources = null;
+    ipv6Sources = null;
+    for (const key of Object.keys(sources)) markLoadedByHand(key);
+  };
+
+  // Rebuilds both indexes from the lists already in memory; nothing is refetched. Before the first
+  // load this just applies the overlay to empty lists (and doesn't resolve `ready`).
+  const setOverlays = (nextOverlay) => {
+    const startedAt = performance.now();
+    const parsed = parseOverlay(nextOverlay);
+    const nextIpv4Index = runSteps(buildFamilyIndexSteps("ipv4", familyInputs("ipv4", {}), parsed.ipv4));
+    const nextIpv6Index = runSteps(buildFamilyIndexSteps("ipv6", familyInputs("ipv6", {}), parsed.ipv6));
+    overlay = parsed;
+    swapIn(nextIpv4Index, nextIpv6Index, { startedAt, markLoaded: false });
+    ipv4Sources = null;
+    ipv6Sources = null;
+  };
+
+  if (autoStart) start();
+
+  return {
+    isVpn,
+    isVpnV4Int,
+    isVpnV6Parts,
+    isVpnBigInt,
+    isVpnMany,
+    checkIp,
+    lookupVpn,
+    classify,
+    classifyRange,
+    refresh,
+    freshness,
+    diagnostics,
+    resultCacheStats,
+    getStats,
+    start,
+    stop,
+    get ready() {
+      return ready;
+    },
+    loadFromText,
+    loadFromFile,
+    loadFromReadableStream,
+    exportRanges,
+    serializeIndex,
+    loadIndexSnapshot,
+    setOverlays,
+    shareIndex,
+    unshareIndex,
+  };
+};
+
+// The attached instance never fetches; it only loads what the sharing thread publishes, and
+// `ready` resolves with the first snapshot. Its channel keeps the thread alive until `detach()`.
+// Only the queries are exposed: loading or refreshing lists is the sharing thread's job.
+export const attachSharedIndex = ({ channel: name, control: controlBuffer }, options = {}) => {
+  if (typeof BroadcastChannel === "undefined") throw new Error("is-vpn: attaching to a shared index needs BroadcastChannel");
+  const instance = createIsVpn({ ...options, autoStart: false });
+  const control = new Int32Array(controlBuffer);
+  const channel = new BroadcastChannel(name);
+  let generation = 0;
+  channel.onmessage = ({ data }) => {
+    if (data?.type !== "index" || data.generation <= generation) return;
+    if (data.generation < Atomics.load(control, 0)) return;
+    generation = data.generation;
+    instance.loadIndexSnapshot(data.snapshot);
+  };
+  channel.postMessage({ type: "sync" });
+  const detach = () => channel.close();
+  const { isVpn, isVpnV4Int, isVpnV6Parts, isVpnBigInt, isVpnMany, checkIp, lookupVpn, classify, classifyRange, getStats } = instance;
+  return {
+    isVpn,
+    isVpnV4Int,
+    isVpnV6Parts,
+    isVpnBigInt,
+    isVpnMany,
+    checkIp,
+    lookupVpn,
+    classify,
+    classifyRange,
+    getStats,
+    get ready() {
+      return instance.ready;
+    },
+    detach,
+  };
+};
+
+// Whether sorted, disjoint packed ranges contain an address.
+const packedRangesContain32 = (packed, ipInt) => {
+  let lo = 0;
+  let hi = packed.length / 2 - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >>> 1;
+    if (packed[mid * 2 + 1] < ipInt) lo = mid + 1;
+    else if (packed[mid * 2] > ipInt) hi = mid - 1;
+    else return true;
+  }
+  return false;
+};
+
+const packedRangesContain128 = (packed, p0, p1, p2, p3) => {
+  let lo = 0;
+  let hi = packed.length / 8 - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >>> 1;
+    const i = mid * 8;
+    if (compare128(packed[i + 4], packed[i + 5], packed[i + 6], packed[i + 7], p0, p1, p2, p3) < 0) lo = mid + 1;
+    else if (compare128(packed[i], packed[i + 1], packed[i + 2], packed[i + 3], p0, p1, p2, p3) > 0) hi = mid - 1;
+    else return true;
+  }
+  return false;
+};
+
+const HISTORY_FILES = {
+  ipv4: IPV4_LIST_URL.slice(IPV4_LIST_URL.lastIndexOf("/") + 1),
+  ipv6: IPV6_LIST_URL.slice(IPV6_LIST_URL.lastIndexOf("/") + 1),
+};
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// "YYYY-MM-DD" (UTC) from a Date, a timestamp or a date string.
+const toDay = (date) => {
+  if (typeof date === "string" && DAY_PATTERN.test(date)) return date;
+  const time = date instanceof Date ? date.getTime() : typeof date === "number" ? date : Date.parse(date);
+  if (!Number.isFinite(time)) throw new Error(`is-vpn: invalid date "${date}"`);
+  return new Date(time).toISOString().slice(0, 10);
+};
+
+// Dated versions of the lists, for asking whether an IP was listed on a given day. Only the first
+// version is stored in full; each later one is stored as the ranges added and removed since the
+// version before it, so a year of daily lists costs little more than one. An address's status on a
+// day is decided by the latest version up to that day whose delta touches it.
+export const createVpnHistory = ({ resolveEmbeddedIpv4 = true } = {}) => {
+  // { day, ipv4: { added, removed }, ipv6: { added, removed } } in date order; deltas are packed ranges.
+  const versions = [];
+  const latest = { ipv4: new Uint32Array(0), ipv6: new Uint32Array(0) };
+
+  const diffVersion = (family, text) => {
+    const v4 = family === "ipv4";
+    if (text == null) return { added: latest[family].subarray(0, 0), removed: latest[family].subarray(0, 0) };
+    const { base } = runSteps(parseListSteps(family, splitLines(text)));
+    const [unpack, pack, subtract] = v4
+      ? [unpackRanges32, packRanges32, subtractRanges32]
+      : [unpackRanges128, packRanges128, subtractRanges128];
+    const previous = unpack(latest[family]);
+    const next = unpack(base);
+    latest[family] = base;
+    return { added: pack(subtract(next, previous)), removed: pack(subtract(previous, next)) };
+  };
+
+  // Versions have to be added in date order. A null text means that family didn't change.
+  const addVersion = (date, ipv4Text, ipv6Text) => {
+    const day = toDay(date);
+    const last = versions[versions.length - 1];
+    if (last && day <= last.day) throw new Error(`is-vpn: version ${day} isn't after the latest one (${last.day})`);
+    versions.push({ day, ipv4: diffVersion("ipv4", ipv4Text), ipv6: diffVersion("ipv6", ipv6Text) });
+  };
+
+  // `dir` holds one subdirectory per day, named YYYY-MM-DD, with that day's list files (under their
+  // names in this repo; a missing file means that family didn't change). Days after the latest
+  // version are added, so calling this again picks up new ones.
+  const loadFromDirectory = async (dir) => {
+    const { readdir } = await import("node:fs/promises");
+    const entries = await readdir(dir, { withFileTypes: true });
+    const last = versions[versions.length - 1];
+    const days = entries
+      .filter((entry) => entry.isDirectory() && DAY_PATTERN.test(entry.name) && (!last || entry.name > last.day))
+      .map((entry) => entry.name)
+      .sort();
+    const readIfPresent = (path) => readTextFile(path).catch((err) => {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    });
+    for (const day of days) {
+      const [ipv4Text, ipv6Text] = await Promise.all([
+        readIfPresent(`${dir}/${day}/${HISTORY_FILES.ipv4}`),
+        readIfPresent(`${dir}/${day}/${HISTORY_FILES.ipv6}`),
+      ]);
+      addVersion(day, ipv4Text, ipv6Text);
+    }
+  };
+
+  // One membership test per family the IP can be found in (an IPv6 address carrying an IPv4
+  // address is also looked up as IPv4, as in `isVpn`), or null if it isn't an IP.
+  const addressTests = (ip) => {
+    const tests = [];
+    const family = ipFamily(ip);
+    if (family === 4) {
+      const ipInt = ipv4ToInt(ip);
+      if (ipInt !== null) tests.push({ family: "ipv4", contains: (packed) => packedRangesContain32(packed, ipInt) });
+    } else if (family === 6) {
+      const parts = ipv6ToParts(ip);
+      if (parts) {
+        const [p0, p1, p2, p3] = parts;
+        tests.push({ family: "ipv6", contains: (packed) => packedRangesContain128(packed, p0, p1, p2, p3) });
+        const ipv4 = resolveEmbeddedIpv4 ? embeddedIpv4(p0, p1, p2, p3) : -1;
+        if (ipv4 !== -1) tests.push({ family: "ipv4", contains: (packed) => packedRangesContain32(packed, ipv4) });
+      }
+    }
+    return tests.length ? tests : null;
+  };
+
+  const listedAt = ({ family, contains }, index) => {
+    for (let i = index; i >= 0; i--) {
+      if (contains(versions[i][family].added)) return true;
+      if (contains(versions[i][family].removed)) return false;
+    }
+    return false;
+  };
+
+  // The version in effect on `day`: the latest one on or before it (-1 if there's none).
+  const versionIndexAt = (day) => {
+    let lo = 0;
+    let hi = versions.length - 1;
+    let index = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >>> 1;
+      if (versions[mid].day <= day) {
+        index = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return index;
+  };
+
+  // Null (rather than false) for a date before the first version, or an IP that can't be parsed.
+  const wasVpn = (ip, date) => {
+    const tests = addressTests(ip);
+    const index = versionIndexAt(toDay(date));
+    if (!tests || index === -1) return null;
+    return tests.some((test) => listedAt(test, index));
+  };
+
+  // When the IP was listed: `periods` of `{ from, to }` days (`to` is the first version it wasn't
+  // listed in, or null if it still is), and the first and last days it was seen listed. A
+  // `firstSeen` equal to the first version's day means it was already listed when history begins.
+  const lookupHistory = (ip) => {
+    const tests = addressTests(ip);
+    if (!tests) return null;
+    const states = tests.map(() => false);
+    const periods = [];
+    let lastSeen = null;
+    for (let i = 0; i < versions.length; i++) {
+      tests.forEach(({ family, contains }, t) => {
+        if (contains(versions[i][family].added)) states[t] = true;
+        else if (contains(versions[i][family].removed)) states[t] = false;
+      });
+      const listed = states.some(Boolean);
+      const open = periods.length > 0 && periods[periods.length - 1].to === null;
+      if (listed) lastSeen = versions[i].day;
+      if (listed && !open) periods.push({ from: versions[i].day, to: null });
+      else if (!listed && open) periods[periods.length - 1].to = versions[i].day;
+    }
+    return { firstSeen: periods.length ? periods[0].from : null, lastSeen, periods };
+  };
+
+  const dates = () => versions.map(({ day }) => day);
+
+  return { addVersion, loadFromDirectory, wasVpn, lookupHistory, dates };
+};
+
+// The default instance backs the module-level exports. It does nothing on import: the lists are
+// fetched (and the 12-hourly refresh scheduled) on the first `isVpn` call, or when `init()` is called.
+const defaultInstance = createIsVpn({ autoStart: false });
+let defaultStarted = false;
+
+const startDefaultInstance = () => {
+  defaultStarted = true;
+  return defaultInstance.start();
+};
+
+export const init = () => startDefaultInstance();
+
+export const stop = () => {
+  defaultInstance.stop();
+  defaultStarted = false;
+};
+
+export const refresh = () => defaultInstance.refresh();
+
+export const freshness = () => defaultInstance.freshness();
+
+export const diagnostics = () => defaultInstance.diagnostics();
+
+export const getStats = () => defaultInstance.getStats();
+
+// Loading lists into the default instance by hand means it won't fetch them from GitHub on first use.
+export const loadFromText = (ipv4Text, ipv6Text) => {
+  defaultStarted = true;
+  defaultInstance.loadFromText(ipv4Text, ipv6Text);
+};
+
+export const loadFromFile = (ipv4Path, ipv6Path) => {
+  defaultStarted = true;
+  return defaultInstance.loadFromFile(ipv4Path, ipv6Path);
+};
+
+export const loadFromReadableStream = (ipv4Stream, ipv6Stream) => {
+  defaultStarted = true;
+  return defaultInstance.loadFromReadableStream(ipv4Stream, ipv6Stream);
+};
+
+export const loadIndexSnapshot = (snapshot) => {
+  defaultStarted = true;
+  defaultInstance.loadIndexSnapshot(snapshot);
+};
+
+export const exportRanges = (options) => defaultInstance.exportRanges(options);
+
+export const serializeIndex = (options) => defaultInstance.serializeIndex(options);
+
+// Sharing the default instance starts it, since the sharing thread is the one that fetches.
+export const shareIndex = (options) => queryDefaultInstance().shareIndex(options);
+
+export const unshareIndex = () => defaultInstance.unshareIndex();
+
+export const setOverlays = (overlay) => defaultInstance.setOverlays(overlay);
+
+export const isVpn = (ip) => {
+  if (!defaultStarted) startDefaultInstance();
+  return defaultInstance.isVpn(ip);
+};
+
+const queryDefaultInstance = () => {
+  if (!defaultStarted) startDefaultInstance();
+  return defaultInstance;
+};
+
+export const isVpnV4Int = (ipInt) => queryDefaultInstance().isVpnV4Int(ipInt);
+
+export const isVpnV6Parts = (p0, p1, p2, p3) => queryDefaultInstance().isVpnV6Parts(p0, p1, p2, p3);
+
+export const isVpnBigInt = (ip) => queryDefaultInstance().isVpnBigInt(ip);
+
+export const isVpnMany = (input) => queryDefaultInstance().isVpnMany(input);
+
+export const checkIp = (ip) => queryDefaultInstance().checkIp(ip);
+
+export const lookupVpn = (ip) => queryDefaultInstance().lookupVpn(ip);
+
+export const classify = (ip) => queryDefaultInstance().classify(ip);
+
+export const classifyRange = (cidr) => queryDefaultInstance().classifyRange(cidr);
@@ -0,0 +1,14 @@
+// Worker side of the "worker" rebuild mode (see `rebuild` in mod.js): parses a list or builds a
+// family's index off the main thread, and transfers the typed arrays back.
+
+import { parentPort } from "node:worker_threads";
+import { runRebuildTask } from "./mod.js";
+
+parentPort.once("message", (message) => {
+  const result = runRebuildTask(message);
+  const buffers = new Set();
+  for (const value of Object.values(result)) {
+    if (ArrayBuffer.isView(value)) buffers.add(value.buffer);
+  }
+  parentPort.postMessage(result, [...buffers]);
+});
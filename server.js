@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+// A small HTTP server around mod.js, so services in other languages get the same matching logic.
+// Run `node server.js --help` for usage.
+
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import { createIsVpn, statsToPrometheus } from "./mod.js";
+
+const USAGE = `Usage:
+  node server.js [options]
+
+Endpoints:
+  GET  /check?ip=<ip>   {"ip","valid","reason","vpn"} for one IP
+  POST /check           a batch: a JSON array of IPs, or one IP per line -> a JSON array of results
+  GET  /health          200 once the lists are loaded, 503 before
+  GET  /stats           getStats() as JSON, or Prometheus text with ?format=prometheus
+
+Options:
+  --host <host>          interface to listen on (default 127.0.0.1)
+  --port <port>          port to listen on (default 8080; 0 picks a free one)
+  --v4-list <file>       load the IPv4 list from a local file instead of GitHub
+  --v6-list <file>       load the IPv6 list from a local file instead of GitHub
+                         (with either of these, nothing is fetched: a family without a file is empty)
+  --cache-dir <dir>      keep/reuse a cached copy of the GitHub lists
+  --max-body <bytes>     largest accepted POST body (default 1048576)
+  -h, --help             show this help
+`;
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// Refreshes re-read the files, so replacing a file on disk is picked up on the next refresh.
+const createInstance = (values, onUpdate) => {
+  const files = values["v4-list"] || values["v6-list"];
+  return createIsVpn({
+    ipv4File: values["v4-list"] ?? null,
+    ipv6File: values["v6-list"] ?? null,
+    ...(files ? { ipv4Url: null, ipv6Url: null } : {}),
+    cacheDir: values["cache-dir"] ?? null,
+    onError: (err) => process.stderr.write(`is-vpn: ${err.message.replace(/^is-vpn: /, "")}\n`),
+    onUpdate,
+  });
+};
+
+const sendJson = (res, status, value) => {
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8" });
+  res.end(`${JSON.stringify(value)}\n`);
+};
+
+const checkOne = (vpn, ip) => {
+  const checked = vpn.checkIp(ip);
+  return { ip, valid: checked.valid, reason: checked.reason, vpn: checked.vpn };
+};
+
+const readBody = async (req, maxBytes) => {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) return null;
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// A JSON array (by content type, or a body starting with "["), otherwise one IP per line.
+const parseBatch = (body, contentType) => {
+  const trimmed = body.trim();
+  if (contentType.includes("json") || trimmed.startsWith("[")) {
+    const ips = JSON.parse(trimmed);
+    if (!Array.isArray(ips) || !ips.every((ip) => typeof ip === "string")) throw new Error("expected a JSON array of strings");
+    return ips;
+  }
+  return trimmed === "" ? [] : trimmed.split("\n").map((line) => line.trim()).filter((line) => line !== "");
+};
+
+const handleCheck = async (vpn, req, res, url, maxBodyBytes) => {
+  if (req.method === "GET") {
+    const ip = url.searchParams.get("ip");
+    if (ip === null) return sendJson(res, 400, { error: "missing ?ip=" });
+    return sendJson(res, 200, checkOne(vpn, ip.trim()));
+  }
+  const body = await readBody(req, maxBodyBytes);
+  if (body === null) return sendJson(res, 413, { error: `body larger than ${maxBodyBytes} bytes` });
+  let ips;
+  try {
+    ips = parseBatch(body, req.headers["content-type"] ?? "");
+  } catch (err) {
+    return sendJson(res, 400, { error: err.message });
+  }
+  return sendJson(res, 200, ips.map((ip) => checkOne(vpn, ip)));
+};
+
+const handleHealth = (vpn, res) => {
+  const { loaded, lastUpdateAt, lastError, lists } = vpn.getStats();
+  sendJson(res, loaded ? 200 : 503, { status: loaded ? "ok" : "loading", lastUpdateAt, lastError, lists });
+};
+
+const handleStats = (vpn, res, url) => {
+  const stats = vpn.getStats();
+  if (url.searchParams.get("format") !== "prometheus") return sendJson(res, 200, stats);
+  res.writeHead(200, { "content-type": "text/plain; version=0.0.4; charset=utf-8" });
+  res.end(statsToPrometheus(stats));
+};
+
+const ROUTES = {
+  "/check": ["GET", "POST"],
+  "/health": ["GET"],
+  "/stats": ["GET"],
+};
+
+// `isLoaded()` is checked per request, so it has to be cheap (unlike `getStats()`).
+const createHandler = (vpn, { maxBodyBytes, isLoaded }) => async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+  const methods = ROUTES[url.pathname];
+  if (!methods) return sendJson(res, 404, { error: "not found" });
+  if (!methods.includes(req.method)) {
+    res.setHeader("allow", methods.join(", "));
+    return sendJson(res, 405, { error: `use ${methods.join(" or ")}` });
+  }
+  if (url.pathname === "/health") return handleHealth(vpn, res);
+  if (url.pathname === "/stats") return handleStats(vpn, res, url);
+  // Until the first load, every IP would come back as not listed.
+  if (!isLoaded()) return sendJson(res, 503, { error: "the lists haven't loaded yet" });
+  return handleCheck(vpn, req, res, url, maxBodyBytes);
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      host: { type: "string", default: "127.0.0.1" },
+      port: { type: "string", default: "8080" },
+      "v4-list": { type: "string" },
+      "v6-list": { type: "string" },
+      "cache-dir": { type: "string" },
+      "max-body": { type: "string", default: "1048576" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw usageError(`invalid port "${values.port}"`);
+  const maxBodyBytes = Number(values["max-body"]);
+  if (!Number.isInteger(maxBodyBytes) || maxBodyBytes <= 0) throw usageError(`invalid --max-body "${values["max-body"]}"`);
+
+  let loaded = false;
+  const vpn = createInstance(values, () => {
+    loaded = true;
+  });
+  // The first load's failure also goes to `onError`; the server stays up (and unhealthy) until a refresh succeeds.
+  vpn.start().catch(() => {});
+  const handle = createHandler(vpn, { maxBodyBytes, isLoaded: () => loaded });
+  const server = createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (!res.headersSent) sendJson(res, 500, { error: err.message });
+      else res.destroy(err);
+    });
+  });
+  server.listen(port, values.host, () => {
+    const { address, port: boundPort } = server.address();
+    process.stderr.write(`is-vpn: listening on http://${address.includes(":") ? `[${address}]` : address}:${boundPort}\n`);
+  });
+  const shutdown = () => {
+    vpn.stop();
+    server.close();
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+};
+
+main().catch((err) => {
+  process.stderr.write(`is-vpn: ${err.message.replace(/^is-vpn: /, "")}\n${err.usage || err.code?.startsWith("ERR_PARSE_ARGS") ? USAGE : ""}`);
+  process.exitCode = 1;
+});